@@ -0,0 +1,72 @@
+/**
+ * Access Module
+ * Decides what the signed-in account may see
+ * Leaders see everything; parents only see the scouts linked to their family account
+ * and none of the troop-wide statistics or data management tools
+ */
+
+const ROLE_PERMISSIONS = {
+    leader: ['viewTroopStats', 'viewAllScouts', 'manageData', 'exportData'],
+    parent: ['exportData']
+};
+
+const ROLE_LABELS = {
+    leader: 'Leader',
+    parent: 'Parent'
+};
+
+/**
+ * The signed-in account
+ * Falls back to a parent with no linked scouts, so a missing account never sees more
+ * @returns {Object} { id, role, scouts }
+ */
+function getAccount() {
+    const account = window.PasswordProtection.getCurrentAccount();
+    if (!account || !ROLE_PERMISSIONS[account.role]) {
+        return { id: '', role: 'parent', scouts: [] };
+    }
+    return account;
+}
+
+/**
+ * Checks whether the signed-in account has a permission
+ * @param {string} permission - e.g. 'viewTroopStats', 'viewAllScouts', 'manageData', 'exportData'
+ */
+function can(permission) {
+    return ROLE_PERMISSIONS[getAccount().role].includes(permission);
+}
+
+/**
+ * Removes scouts the account isn't linked to from every event
+ * Events themselves (the troop schedule) and adults stay visible
+ * @param {Array} events
+ * @returns {Array} The same events for leaders, copies with filtered scouts for parents
+ */
+function restrictEvents(events) {
+    if (can('viewAllScouts')) return events;
+    
+    const resolveName = window.Aliases.createResolver();
+    const linkedScouts = new Set(getAccount().scouts.map(name => resolveName(name).toLowerCase()));
+    const isLinked = name => linkedScouts.has(resolveName(name).toLowerCase());
+    return (events || []).map(event => ({
+        ...event,
+        scouts: (event.scouts || []).filter(isLinked),
+        patrols: Object.fromEntries(Object.entries(event.patrols || {}).filter(([name]) => isLinked(name)))
+    }));
+}
+
+/**
+ * Describes the signed-in account, e.g. "smith-family (Parent)"
+ */
+function describeAccount() {
+    const account = getAccount();
+    return `${account.id || 'Guest'} (${ROLE_LABELS[account.role]})`;
+}
+
+// Export API
+window.Access = {
+    getAccount,
+    can,
+    restrictEvents,
+    describeAccount
+};
@@ -0,0 +1,279 @@
+/**
+ * Aliases Module
+ * Maps name variants ("Robert Smith", "Bob  Smith ") to one canonical person
+ * The alias table is stored in localStorage and can be exported/imported as JSON
+ */
+
+const ALIAS_STORAGE_KEY = 't132_name_aliases';
+const ALIAS_TABLE_VERSION = 1;
+
+// Pairs at or above this similarity are suggested as possible duplicates
+const SUGGESTION_THRESHOLD = 0.8;
+
+/**
+ * Collapses whitespace so "Robert  Smith " and "Robert Smith" compare equal
+ */
+function cleanName(name) {
+    return String(name || '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Normalized lookup key for a name
+ */
+function nameKey(name) {
+    return cleanName(name).toLowerCase();
+}
+
+/**
+ * Loads the alias table from localStorage
+ * @returns {Object} { version, aliases: { variantKey: canonicalName }, dismissed: ['keyA|keyB'] }
+ */
+function loadAliasTable() {
+    const empty = { version: ALIAS_TABLE_VERSION, aliases: {}, dismissed: [] };
+    const stored = localStorage.getItem(ALIAS_STORAGE_KEY);
+    if (!stored) return empty;
+    
+    try {
+        const parsed = JSON.parse(stored);
+        return {
+            version: ALIAS_TABLE_VERSION,
+            aliases: (parsed && typeof parsed.aliases === 'object' && parsed.aliases) || {},
+            dismissed: (parsed && Array.isArray(parsed.dismissed)) ? parsed.dismissed : []
+        };
+    } catch (e) {
+        console.warn('Ignoring unreadable alias table:', e);
+        return empty;
+    }
+}
+
+/**
+ * Saves the alias table to localStorage
+ */
+function saveAliasTable(table) {
+    localStorage.setItem(ALIAS_STORAGE_KEY, JSON.stringify({
+        version: ALIAS_TABLE_VERSION,
+        aliases: table.aliases,
+        dismissed: table.dismissed
+    }));
+}
+
+/**
+ * Resolves a name to its canonical form
+ * Follows alias chains (A -> B -> C) and always returns a whitespace-cleaned name
+ */
+function resolveName(name) {
+    const table = loadAliasTable();
+    return resolveWithTable(name, table);
+}
+
+/**
+ * Resolves a name against an already-loaded alias table
+ */
+function resolveWithTable(name, table) {
+    let current = cleanName(name);
+    const seen = new Set();
+    
+    while (table.aliases[nameKey(current)] && !seen.has(nameKey(current))) {
+        seen.add(nameKey(current));
+        current = cleanName(table.aliases[nameKey(current)]);
+    }
+    
+    return current;
+}
+
+/**
+ * Creates a resolver bound to the current table (avoids re-reading storage per name)
+ */
+function createResolver() {
+    const table = loadAliasTable();
+    return name => resolveWithTable(name, table);
+}
+
+/**
+ * Confirms that a variant is the same person as the canonical name
+ * Aliases that pointed at the variant are re-pointed at the canonical name
+ */
+function addAlias(variant, canonical) {
+    const variantKey = nameKey(variant);
+    const table = loadAliasTable();
+    const target = resolveWithTable(canonical, table);
+    
+    if (!variantKey || !target) {
+        throw new Error('Both names are required to merge');
+    }
+    if (variantKey === nameKey(target)) {
+        throw new Error(`"${cleanName(variant)}" is already "${target}"`);
+    }
+    
+    Object.keys(table.aliases).forEach(key => {
+        if (nameKey(table.aliases[key]) === variantKey) {
+            table.aliases[key] = target;
+        }
+    });
+    table.aliases[variantKey] = target;
+    
+    saveAliasTable(table);
+}
+
+/**
+ * Removes an alias so the variant becomes its own person again
+ */
+function removeAlias(variant) {
+    const table = loadAliasTable();
+    delete table.aliases[nameKey(variant)];
+    saveAliasTable(table);
+}
+
+/**
+ * Marks a suggested pair as two different people so it isn't suggested again
+ */
+function dismissSuggestion(nameA, nameB) {
+    const table = loadAliasTable();
+    const pairKey = [nameKey(nameA), nameKey(nameB)].sort().join('|');
+    if (!table.dismissed.includes(pairKey)) {
+        table.dismissed.push(pairKey);
+    }
+    saveAliasTable(table);
+}
+
+/**
+ * Lists all aliases as { variant, canonical } sorted by canonical name
+ */
+function listAliases() {
+    const table = loadAliasTable();
+    return Object.keys(table.aliases)
+        .map(variant => ({ variant: variant, canonical: resolveWithTable(variant, table) }))
+        .sort((a, b) => a.canonical.localeCompare(b.canonical) || a.variant.localeCompare(b.variant));
+}
+
+/**
+ * Lists the variant keys that resolve to a canonical name (used by search)
+ */
+function getVariants(canonicalName) {
+    return createVariantLookup()(canonicalName);
+}
+
+/**
+ * Creates a getVariants bound to the current table (avoids re-reading storage per name)
+ */
+function createVariantLookup() {
+    const variantsByName = new Map(); // canonical key -> [variant]
+    listAliases().forEach(alias => {
+        const key = nameKey(alias.canonical);
+        if (!variantsByName.has(key)) variantsByName.set(key, []);
+        variantsByName.get(key).push(alias.variant);
+    });
+    return canonicalName => [...(variantsByName.get(nameKey(canonicalName)) || [])];
+}
+
+/**
+ * Suggests likely duplicates among a list of people
+ * Uses Search.calculateSimilarity on full names, and on first names when last names match
+ * @param {Array} people - [{ fullName, eventCount }]
+ * @returns {Array} [{ nameA, nameB, score }] - nameA is the more frequent name
+ */
+function suggestDuplicates(people) {
+    if (!Array.isArray(people)) return [];
+    
+    const table = loadAliasTable();
+    const suggestions = [];
+    
+    for (let i = 0; i < people.length; i++) {
+        for (let j = i + 1; j < people.length; j++) {
+            const a = people[i];
+            const b = people[j];
+            const pairKey = [nameKey(a.fullName), nameKey(b.fullName)].sort().join('|');
+            if (table.dismissed.includes(pairKey)) continue;
+            
+            let score = window.Search.calculateSimilarity(a.fullName, b.fullName);
+            
+            // Same last name: compare first names ("Rob" / "Robert")
+            const partsA = cleanName(a.fullName).split(' ');
+            const partsB = cleanName(b.fullName).split(' ');
+            if (partsA.length > 1 && partsB.length > 1 &&
+                nameKey(partsA.slice(1).join(' ')) === nameKey(partsB.slice(1).join(' '))) {
+                score = Math.max(score, window.Search.calculateSimilarity(partsA[0], partsB[0]));
+            }
+            
+            if (score >= SUGGESTION_THRESHOLD) {
+                const [nameA, nameB] = (b.eventCount || 0) > (a.eventCount || 0)
+                    ? [b.fullName, a.fullName]
+                    : [a.fullName, b.fullName];
+                suggestions.push({ nameA: nameA, nameB: nameB, score: score });
+            }
+        }
+    }
+    
+    return suggestions.sort((x, y) => y.score - x.score);
+}
+
+/**
+ * Downloads the alias table as JSON
+ */
+function exportAliases() {
+    const table = loadAliasTable();
+    const data = {
+        version: ALIAS_TABLE_VERSION,
+        aliases: table.aliases,
+        dismissed: table.dismissed,
+        exportedAt: new Date().toISOString()
+    };
+    
+    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = 'name-aliases.json';
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Merges an exported alias table into the stored one
+ * @param {string} jsonText - Contents of a name-aliases.json file
+ * @returns {number} Number of aliases imported
+ */
+function importAliases(jsonText) {
+    const parsed = JSON.parse(jsonText);
+    if (!parsed || typeof parsed.aliases !== 'object' || Array.isArray(parsed.aliases)) {
+        throw new Error('File is not an alias table export');
+    }
+    
+    let imported = 0;
+    Object.entries(parsed.aliases).forEach(([variant, canonical]) => {
+        if (typeof canonical === 'string' && nameKey(variant) !== nameKey(canonical)) {
+            addAlias(variant, canonical);
+            imported++;
+        }
+    });
+    
+    if (Array.isArray(parsed.dismissed)) {
+        const table = loadAliasTable();
+        parsed.dismissed.forEach(pairKey => {
+            if (typeof pairKey === 'string' && !table.dismissed.includes(pairKey)) {
+                table.dismissed.push(pairKey);
+            }
+        });
+        saveAliasTable(table);
+    }
+    
+    return imported;
+}
+
+// Export API
+window.Aliases = {
+    cleanName,
+    resolveName,
+    createResolver,
+    addAlias,
+    removeAlias,
+    dismissSuggestion,
+    listAliases,
+    getVariants,
+    createVariantLookup,
+    suggestDuplicates,
+    exportAliases,
+    importAliases
+};
@@ -0,0 +1,167 @@
+/**
+ * Analytics Module
+ * Builds the participation trends shown on the analytics dashboard
+ * Events are bucketed by the month they start in; a signup is one person on one event
+ */
+
+// Program years run September through August
+const PROGRAM_YEAR_START_MONTH = 9;
+
+/**
+ * The program year a date falls in, e.g. '2025-09-14' -> 2025 (the 2025-26 year)
+ */
+function getProgramYear(dateString) {
+    const year = Number(dateString.slice(0, 4));
+    const month = Number(dateString.slice(5, 7));
+    return month >= PROGRAM_YEAR_START_MONTH ? year : year - 1;
+}
+
+/**
+ * Program years that have events, newest first
+ * @param {Array} events
+ * @returns {Array} [{ value: '2025', label: '2025-26', startDate, endDate }]
+ */
+function getProgramYears(events) {
+    const years = new Set((events || [])
+        .filter(event => event && event.startDate)
+        .map(event => getProgramYear(event.startDate)));
+    const pad = number => String(number).padStart(2, '0');
+    
+    return Array.from(years).sort((a, b) => b - a).map(year => {
+        const lastDay = new Date(year + 1, PROGRAM_YEAR_START_MONTH - 1, 0); // Last day of the month before the next year starts
+        return {
+            value: String(year),
+            label: `${year}-${pad((year + 1) % 100)}`,
+            startDate: `${year}-${pad(PROGRAM_YEAR_START_MONTH)}-01`,
+            endDate: window.HistoryManager.toLocalDateString(lastDay)
+        };
+    });
+}
+
+/**
+ * Every month from one YYYY-MM to another, inclusive
+ */
+function listMonths(firstMonth, lastMonth) {
+    const months = [];
+    let year = Number(firstMonth.slice(0, 4));
+    let month = Number(firstMonth.slice(5, 7));
+    
+    for (let key = firstMonth; key <= lastMonth; key = `${year}-${String(month).padStart(2, '0')}`) {
+        months.push(key);
+        month++;
+        if (month > 12) {
+            month = 1;
+            year++;
+        }
+    }
+    return months;
+}
+
+/**
+ * Short label for a YYYY-MM month, e.g. "Nov 2025"
+ */
+function formatMonth(monthKey) {
+    return window.HistoryManager.parseLocalDate(`${monthKey}-01`)
+        .toLocaleDateString('en-US', { month: 'short', year: 'numeric' });
+}
+
+/**
+ * Builds the dashboard figures for a date range
+ * @param {Array} events - All loaded events (first appearances need the full history)
+ * @param {string} startDate - YYYY-MM-DD, '' for no lower bound
+ * @param {string} endDate - YYYY-MM-DD, '' for no upper bound
+ * @returns {Object} {
+ *   eventCount, months: [{ month, label, events, scoutSignups, adultSignups, averageScouts, averageAdults, newScouts }]
+ *   (averages are null for months without events),
+ *   categories: [{ category, events, signups }], mix: { scoutSignups, adultSignups, scouts, adults }
+ * }
+ */
+function buildDashboard(events, startDate, endDate) {
+    const datedEvents = (events || []).filter(event => event && event.startDate);
+    const inRange = datedEvents.filter(event =>
+        (!startDate || event.startDate >= startDate) && (!endDate || event.startDate <= endDate));
+    
+    // Month buckets cover the whole range, so quiet months show as zero
+    const eventMonths = inRange.map(event => event.startDate.slice(0, 7)).sort();
+    const firstMonth = startDate ? startDate.slice(0, 7) : eventMonths[0];
+    const lastMonth = endDate ? endDate.slice(0, 7) : eventMonths[eventMonths.length - 1];
+    const monthMap = new Map((firstMonth && lastMonth ? listMonths(firstMonth, lastMonth) : []).map(month => [month, {
+        month: month,
+        label: formatMonth(month),
+        events: 0,
+        scoutSignups: 0,
+        adultSignups: 0,
+        averageScouts: null,
+        averageAdults: null,
+        newScouts: 0
+    }]));
+    
+    const categoryMap = new Map();
+    const uniqueScouts = new Set();
+    const uniqueAdults = new Set();
+    const mix = { scoutSignups: 0, adultSignups: 0, scouts: 0, adults: 0 };
+    
+    inRange.forEach(event => {
+        const month = monthMap.get(event.startDate.slice(0, 7));
+        const scouts = event.scouts || [];
+        const adults = event.adults || [];
+        
+        month.events++;
+        month.scoutSignups += scouts.length;
+        month.adultSignups += adults.length;
+        
+        // Events with several tags count toward each of them
+        window.CategoryRules.getEventTags(event).forEach(category => {
+            if (!categoryMap.has(category)) {
+                categoryMap.set(category, { category: category, events: 0, signups: 0 });
+            }
+            categoryMap.get(category).events++;
+            categoryMap.get(category).signups += scouts.length + adults.length;
+        });
+        
+        mix.scoutSignups += scouts.length;
+        mix.adultSignups += adults.length;
+        scouts.forEach(name => uniqueScouts.add(String(name).toLowerCase().trim()));
+        adults.forEach(name => uniqueAdults.add(String(name).toLowerCase().trim()));
+    });
+    mix.scouts = uniqueScouts.size;
+    mix.adults = uniqueAdults.size;
+    
+    // A scout's first appearance is their earliest event ever, counted if it falls in the range
+    const firstAppearances = new Map();
+    datedEvents.forEach(event => {
+        (event.scouts || []).forEach(name => {
+            const key = String(name).toLowerCase().trim();
+            if (!firstAppearances.has(key) || event.startDate < firstAppearances.get(key)) {
+                firstAppearances.set(key, event.startDate);
+            }
+        });
+    });
+    firstAppearances.forEach(date => {
+        const month = monthMap.get(date.slice(0, 7));
+        if (month && (!startDate || date >= startDate) && (!endDate || date <= endDate)) {
+            month.newScouts++;
+        }
+    });
+    
+    const round = value => Math.round(value * 10) / 10;
+    const months = Array.from(monthMap.values()).map(month => ({
+        ...month,
+        averageScouts: month.events > 0 ? round(month.scoutSignups / month.events) : null,
+        averageAdults: month.events > 0 ? round(month.adultSignups / month.events) : null
+    }));
+    
+    return {
+        eventCount: inRange.length,
+        months: months,
+        categories: Array.from(categoryMap.values())
+            .sort((a, b) => b.signups - a.signups || a.category.localeCompare(b.category)),
+        mix: mix
+    };
+}
+
+// Export API
+window.Analytics = {
+    getProgramYears,
+    buildDashboard
+};
@@ -0,0 +1,148 @@
+/**
+ * Backup Module
+ * Reads events-backup.json files written by exportEventsJSON so the app can
+ * run from a snapshot, or merge a snapshot with live sheet data
+ */
+
+/**
+ * Checks a backup file's structure and returns its events
+ * @param {string} jsonText - Contents of an events-backup.json file
+ * @returns {Object} { events, exportedAt }
+ * @throws {Error} Describing the first problem found
+ */
+function parseBackup(jsonText) {
+    let data;
+    try {
+        data = JSON.parse(jsonText);
+    } catch (e) {
+        throw new Error('File is not valid JSON');
+    }
+    
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        throw new Error('File is not an events backup');
+    }
+    if (!Array.isArray(data.futureEvents) || !Array.isArray(data.pastEvents)) {
+        throw new Error('Backup is missing its futureEvents/pastEvents lists');
+    }
+    
+    const exportedAt = new Date(data.exportedAt);
+    if (!data.exportedAt || isNaN(exportedAt.getTime())) {
+        throw new Error('Backup has no valid exportedAt date');
+    }
+    
+    const events = [];
+    [['futureEvents', data.futureEvents], ['pastEvents', data.pastEvents]].forEach(([listName, list]) => {
+        list.forEach((event, index) => {
+            const problem = findEventProblem(event);
+            if (problem) {
+                throw new Error(`${listName}[${index}] ${problem}`);
+            }
+            events.push(event);
+        });
+    });
+    
+    return {
+        events: events,
+        exportedAt: data.exportedAt
+    };
+}
+
+/**
+ * Describes what is wrong with one backed-up event, or '' if it is usable
+ */
+function findEventProblem(event) {
+    if (!event || typeof event !== 'object') return 'is not an event';
+    if (typeof event.eventName !== 'string' || !event.eventName.trim()) return 'has no eventName';
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(event.startDate || '')) return `has an invalid startDate "${event.startDate}"`;
+    if (event.endDate && !/^\d{4}-\d{2}-\d{2}$/.test(event.endDate)) return `has an invalid endDate "${event.endDate}"`;
+    if (!Array.isArray(event.scouts)) return 'has no scouts list';
+    if (event.adults !== undefined && !Array.isArray(event.adults)) return 'has an invalid adults list';
+    if ([...event.scouts, ...(event.adults || [])].some(name => typeof name !== 'string')) return 'has a non-text name';
+    return '';
+}
+
+/**
+ * Builds the event key used by convertSheetToEvents (name and dates)
+ */
+function getEventKey(event) {
+    return `${event.eventName}_${event.startDate}_${event.endDate || event.startDate}`.toLowerCase();
+}
+
+/**
+ * Re-keys an event's scout -> patrol map by canonical name (older backups have none)
+ */
+function resolvePatrolNames(patrols, resolve) {
+    const resolved = {};
+    Object.entries(patrols && typeof patrols === 'object' ? patrols : {}).forEach(([name, patrol]) => {
+        const canonical = resolve(name);
+        if (canonical && patrol) resolved[canonical] = String(patrol);
+    });
+    return resolved;
+}
+
+/**
+ * Brings backed-up events into the current event shape
+ * Fills fields older backups lack and applies name aliases
+ * @param {Array} events - Events from parseBackup
+ * @param {Function} resolveName - Maps a name to its canonical form (Aliases.createResolver)
+ * @param {string} sourceLabel - Source tag for events that have none
+ */
+function normalizeEvents(events, resolveName, sourceLabel) {
+    const resolve = resolveName || (name => String(name).trim());
+    
+    return (events || []).map(event => {
+        const uniqueNames = names => [...new Set((names || []).map(resolve).filter(Boolean))];
+        return {
+            ...event,
+            id: getEventKey(event),
+            endDate: event.endDate || event.startDate,
+            sources: Array.isArray(event.sources) && event.sources.length > 0 ? event.sources : [sourceLabel],
+            scouts: uniqueNames(event.scouts),
+            adults: uniqueNames(event.adults),
+            patrols: resolvePatrolNames(event.patrols, resolve)
+        };
+    });
+}
+
+/**
+ * Merges snapshot events into live events
+ * Events with the same name and dates are combined (people and sources are unioned);
+ * events only in the snapshot are kept so nothing deleted from the sheet is lost
+ */
+function mergeEvents(liveEvents, backupEvents) {
+    const merged = new Map();
+    
+    (liveEvents || []).forEach(event => {
+        merged.set(event.id, { ...event, sources: [...(event.sources || [])], scouts: [...event.scouts], adults: [...event.adults], patrols: { ...event.patrols } });
+    });
+    
+    (backupEvents || []).forEach(event => {
+        if (!merged.has(event.id)) {
+            merged.set(event.id, { ...event, sources: [...event.sources], scouts: [...event.scouts], adults: [...event.adults], patrols: { ...event.patrols } });
+            return;
+        }
+        
+        const existing = merged.get(event.id);
+        event.sources.forEach(source => {
+            if (!existing.sources.includes(source)) existing.sources.push(source);
+        });
+        event.scouts.forEach(name => {
+            if (!existing.scouts.includes(name)) existing.scouts.push(name);
+        });
+        event.adults.forEach(name => {
+            if (!existing.adults.includes(name)) existing.adults.push(name);
+        });
+        
+        // Live patrols win; the backup fills in scouts the sheet no longer lists
+        existing.patrols = { ...event.patrols, ...existing.patrols };
+    });
+    
+    return Array.from(merged.values());
+}
+
+// Export API
+window.Backup = {
+    parseBackup,
+    normalizeEvents,
+    mergeEvents
+};
@@ -0,0 +1,145 @@
+/**
+ * Calendar View Module
+ * Lays events out on a month or week grid: which days to show, and which
+ * row (lane) each multi-day event bar takes so overlapping events don't collide
+ * Dates are YYYY-MM-DD strings throughout, so they compare as text
+ */
+
+const CALENDAR_MODES = ['month', 'week'];
+
+/**
+ * Moves a YYYY-MM-DD date by some days
+ */
+function addDays(dateString, days) {
+    const date = window.HistoryManager.parseLocalDate(dateString);
+    date.setDate(date.getDate() + days);
+    return window.HistoryManager.toLocalDateString(date);
+}
+
+/**
+ * The Sunday on or before a date
+ */
+function startOfWeek(dateString) {
+    return addDays(dateString, -window.HistoryManager.parseLocalDate(dateString).getDay());
+}
+
+/**
+ * The days shown for a period, as weeks of seven dates
+ * @param {string} mode - 'month' or 'week'
+ * @param {string} anchorDate - Any date in the period
+ * @returns {Object} { title, weeks: [[date x7]], monthPrefix } - monthPrefix ('YYYY-MM') marks in-month days
+ */
+function getPeriod(mode, anchorDate) {
+    const anchor = window.HistoryManager.parseLocalDate(anchorDate);
+    const monthTitle = date => date.toLocaleDateString('en-US', { month: 'long', year: 'numeric' });
+    
+    if (mode === 'week') {
+        const first = startOfWeek(anchorDate);
+        const days = Array.from({ length: 7 }, (_, i) => addDays(first, i));
+        const format = dateString => window.HistoryManager.parseLocalDate(dateString)
+            .toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+        return {
+            title: `${format(days[0])} - ${format(days[6])}, ${window.HistoryManager.parseLocalDate(days[6]).getFullYear()}`,
+            weeks: [days],
+            monthPrefix: ''
+        };
+    }
+    
+    const firstOfMonth = window.HistoryManager.toLocalDateString(new Date(anchor.getFullYear(), anchor.getMonth(), 1));
+    const monthPrefix = firstOfMonth.slice(0, 7);
+    const weeks = [];
+    for (let weekStart = startOfWeek(firstOfMonth); weekStart.slice(0, 7) <= monthPrefix; weekStart = addDays(weekStart, 7)) {
+        weeks.push(Array.from({ length: 7 }, (_, i) => addDays(weekStart, i)));
+    }
+    
+    return { title: monthTitle(anchor), weeks: weeks, monthPrefix: monthPrefix };
+}
+
+/**
+ * Moves the anchor date one period forward or back
+ * @param {number} delta - e.g. 1 for next, -1 for previous
+ */
+function shiftPeriod(mode, anchorDate, delta) {
+    if (mode === 'week') {
+        return addDays(anchorDate, delta * 7);
+    }
+    
+    const anchor = window.HistoryManager.parseLocalDate(anchorDate);
+    return window.HistoryManager.toLocalDateString(new Date(anchor.getFullYear(), anchor.getMonth() + delta, 1));
+}
+
+/**
+ * Places the events overlapping one week as bars
+ * Earlier (then longer) events get the top lanes; each takes the first lane free on all its days
+ * @param {Array<string>} weekDays - Seven dates
+ * @param {Array} events
+ * @returns {Object} { bars: [{ event, startColumn, span, lane, continuesBefore, continuesAfter }], laneCount }
+ */
+function layoutWeek(weekDays, events) {
+    const weekStart = weekDays[0];
+    const weekEnd = weekDays[weekDays.length - 1];
+    
+    const overlapping = (events || [])
+        .filter(event => event && event.startDate)
+        .filter(event => event.startDate <= weekEnd && (event.endDate || event.startDate) >= weekStart)
+        .sort((a, b) => {
+            const lengthA = window.HistoryManager.getEventDays(a.startDate, a.endDate);
+            const lengthB = window.HistoryManager.getEventDays(b.startDate, b.endDate);
+            return a.startDate.localeCompare(b.startDate) || lengthB - lengthA ||
+                String(a.eventName).localeCompare(String(b.eventName));
+        });
+    
+    const lanes = []; // lanes[lane][column] = taken
+    const bars = overlapping.map(event => {
+        const endDate = event.endDate || event.startDate;
+        const startColumn = Math.max(0, weekDays.indexOf(event.startDate < weekStart ? weekStart : event.startDate));
+        const endColumn = weekDays.indexOf(endDate > weekEnd ? weekEnd : endDate);
+        const span = endColumn - startColumn + 1;
+        
+        let lane = lanes.findIndex(taken => taken.slice(startColumn, endColumn + 1).every(isTaken => !isTaken));
+        if (lane === -1) {
+            lane = lanes.length;
+            lanes.push(new Array(7).fill(false));
+        }
+        for (let column = startColumn; column <= endColumn; column++) {
+            lanes[lane][column] = true;
+        }
+        
+        return {
+            event: event,
+            startColumn: startColumn,
+            span: span,
+            lane: lane,
+            continuesBefore: event.startDate < weekStart,
+            continuesAfter: endDate > weekEnd
+        };
+    });
+    
+    return { bars: bars, laneCount: lanes.length };
+}
+
+/**
+ * Events happening on a date (multi-day events count on each of their days)
+ */
+function getEventsOnDay(events, date) {
+    return (events || [])
+        .filter(event => event && event.startDate && event.startDate <= date && (event.endDate || event.startDate) >= date)
+        .sort((a, b) => a.startDate.localeCompare(b.startDate) || String(a.eventName).localeCompare(String(b.eventName)));
+}
+
+/**
+ * CSS class for an event's category color, e.g. 'category-service-project'
+ */
+function getCategoryClass(category) {
+    return `category-${String(category || 'Other').toLowerCase().replace(/[^a-z0-9]+/g, '-')}`;
+}
+
+// Export API
+window.CalendarView = {
+    CALENDAR_MODES,
+    getPeriod,
+    shiftPeriod,
+    layoutWeek,
+    getEventsOnDay,
+    getCategoryClass
+};
@@ -0,0 +1,28 @@
+/**
+ * Category Config Module
+ * The troop's shared category rules and manual event tags, deployed with the app
+ * Edits made in the Category rules panel stay on that device until exported and
+ * pasted over DEFAULT_CATEGORY_CONFIG here
+ */
+
+/**
+ * Shared rules and overrides (same shape as CategoryRules.exportRules)
+ * Rules are checked in order; plain patterns match anywhere in the name ignoring case,
+ * regex patterns are case-insensitive too
+ * Overrides set one event's tags by hand, keyed by event id
+ */
+const DEFAULT_CATEGORY_CONFIG = {
+    version: 1,
+    rules: [
+        { id: 'eagle-project', pattern: 'eagle project', regex: false, tags: ['Eagle Project'] },
+        { id: 'service', pattern: '\\bservice\\b', regex: true, tags: ['Service Project'] },
+        { id: 'fundraiser', pattern: 'fundraiser', regex: false, tags: ['Fundraiser'] },
+        { id: 'camping', pattern: '\\bcamp(s|out|outs|ing|oree|fire|fires)?\\b', regex: true, tags: ['Camping'] }
+    ],
+    overrides: {}
+};
+
+// Export API
+window.CategoryConfig = {
+    DEFAULT_CATEGORY_CONFIG
+};
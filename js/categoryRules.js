@@ -0,0 +1,426 @@
+/**
+ * Category Rules Module
+ * Tags events from their names using an ordered, editable list of rules
+ * Every matching rule adds its tags (an event can be both Camping and Service Project);
+ * events no rule matches are tagged Other. A manual override for one event replaces
+ * whatever the rules say. The shared rules and overrides come from the app config
+ * (categoryConfig.js); edits made here are a local layer in localStorage on top of them,
+ * exported as JSON in the config's shape so they can be shared
+ */
+
+const CATEGORY_RULES_STORAGE_KEY = 't132_category_rules';
+const CATEGORY_RULES_VERSION = 1;
+const FALLBACK_TAG = 'Other';
+
+/**
+ * Cleans a list of tags: trimmed, no blanks, no duplicates (ignoring case)
+ */
+function cleanTags(tags) {
+    const seen = new Set();
+    return (Array.isArray(tags) ? tags : String(tags || '').split(','))
+        .map(tag => String(tag).replace(/\s+/g, ' ').trim())
+        .filter(tag => {
+            const key = tag.toLowerCase();
+            if (!tag || seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+}
+
+/**
+ * Checks a rule and returns a cleaned copy
+ * @throws {Error} When the pattern is empty or not a valid regex, or there are no tags
+ */
+function cleanRule(rule) {
+    const pattern = String((rule && rule.pattern) || '').trim();
+    const tags = cleanTags(rule && rule.tags);
+    
+    if (!pattern) {
+        throw new Error('A rule needs a pattern');
+    }
+    if (rule.regex) {
+        try {
+            new RegExp(pattern, 'i');
+        } catch (e) {
+            throw new Error(`"${pattern}" is not a valid regular expression`);
+        }
+    }
+    if (tags.length === 0) {
+        throw new Error('A rule needs at least one tag');
+    }
+    
+    return {
+        id: String(rule.id || '') || `rule-${Date.now()}-${Math.floor(Math.random() * 1000)}`,
+        pattern: pattern,
+        regex: !!rule.regex,
+        tags: tags
+    };
+}
+
+/**
+ * Cleans an overrides map (eventId -> tags); overrides with no tags are dropped
+ * unless keepCleared is set (the local layer uses them to switch off a shared override)
+ */
+function cleanOverrides(overrides, keepCleared) {
+    const cleanedOverrides = {};
+    Object.entries((overrides && typeof overrides === 'object' && overrides) || {}).forEach(([eventId, tags]) => {
+        const cleaned = cleanTags(tags);
+        if (cleaned.length > 0 || keepCleared) cleanedOverrides[eventId] = cleaned;
+    });
+    return cleanedOverrides;
+}
+
+/**
+ * Cleans a list of rules, skipping (and logging) invalid ones
+ */
+function cleanRules(rules) {
+    return rules.map(rule => {
+        try {
+            return cleanRule(rule);
+        } catch (e) {
+            console.warn('Skipping invalid category rule:', rule, e);
+            return null;
+        }
+    }).filter(Boolean);
+}
+
+/**
+ * The shared rules and overrides from the app config
+ * @returns {Object} { rules, overrides }
+ */
+function loadSharedTable() {
+    const config = window.CategoryConfig.DEFAULT_CATEGORY_CONFIG;
+    return {
+        rules: cleanRules(config.rules || []),
+        overrides: cleanOverrides(config.overrides, false)
+    };
+}
+
+/**
+ * Loads this device's edits
+ * @returns {Object} { rules: [rule] or null to use the shared rules, overrides: { eventId: [tag] } }
+ *   An override with no tags switches off the shared override for that event
+ */
+function loadLocalLayer() {
+    const stored = localStorage.getItem(CATEGORY_RULES_STORAGE_KEY);
+    if (!stored) return { rules: null, overrides: {} };
+    
+    try {
+        const parsed = JSON.parse(stored);
+        return {
+            rules: Array.isArray(parsed && parsed.rules) ? cleanRules(parsed.rules) : null,
+            overrides: cleanOverrides(parsed && parsed.overrides, true)
+        };
+    } catch (e) {
+        console.warn('Ignoring unreadable category rules:', e);
+        return { rules: null, overrides: {} };
+    }
+}
+
+/**
+ * Saves this device's edits to localStorage (nothing left to save removes the entry)
+ */
+function saveLocalLayer(layer) {
+    if (!layer.rules && Object.keys(layer.overrides).length === 0) {
+        localStorage.removeItem(CATEGORY_RULES_STORAGE_KEY);
+        return;
+    }
+    localStorage.setItem(CATEGORY_RULES_STORAGE_KEY, JSON.stringify({
+        version: CATEGORY_RULES_VERSION,
+        rules: layer.rules,
+        overrides: layer.overrides
+    }));
+}
+
+/**
+ * Loads the rule table in effect: this device's rules if it has its own, otherwise the
+ * shared ones, and the shared overrides with this device's on top
+ * @returns {Object} { rules: [{ id, pattern, regex, tags }], overrides: { eventId: [tag] } }
+ */
+function loadRuleTable() {
+    const shared = loadSharedTable();
+    const local = loadLocalLayer();
+    const overrides = { ...shared.overrides, ...local.overrides };
+    Object.keys(overrides).forEach(eventId => {
+        if (overrides[eventId].length === 0) delete overrides[eventId];
+    });
+    
+    return {
+        rules: local.rules || shared.rules,
+        overrides: overrides
+    };
+}
+
+/**
+ * The rules, in the order they are checked
+ */
+function listRules() {
+    return loadRuleTable().rules;
+}
+
+/**
+ * Whether this device uses its own rules instead of the shared ones
+ */
+function hasDeviceRules() {
+    return loadLocalLayer().rules !== null;
+}
+
+/**
+ * Applies a change to the rules, saving the result as this device's rules
+ * @param {Function} change - Receives the current rules and returns the new list
+ */
+function updateDeviceRules(change) {
+    const layer = loadLocalLayer();
+    layer.rules = change(layer.rules || loadSharedTable().rules);
+    saveLocalLayer(layer);
+}
+
+/**
+ * Adds a rule to the end of the list
+ * @param {Object} rule - { pattern, regex, tags } tags may be an array or comma-separated text
+ * @throws {Error} When the rule is invalid
+ */
+function addRule(rule) {
+    const added = cleanRule({ ...rule, id: '' });
+    updateDeviceRules(rules => rules.concat([added]));
+}
+
+/**
+ * Removes a rule
+ */
+function removeRule(id) {
+    updateDeviceRules(rules => rules.filter(rule => rule.id !== id));
+}
+
+/**
+ * Moves a rule up (-1) or down (1) the list
+ */
+function moveRule(id, delta) {
+    updateDeviceRules(rules => {
+        const index = rules.findIndex(rule => rule.id === id);
+        const target = index + delta;
+        if (index === -1 || target < 0 || target >= rules.length) return rules;
+        
+        [rules[index], rules[target]] = [rules[target], rules[index]];
+        return rules;
+    });
+}
+
+/**
+ * Drops this device's rules so the shared ones apply again (manual overrides are kept)
+ */
+function resetRules() {
+    const layer = loadLocalLayer();
+    layer.rules = null;
+    saveLocalLayer(layer);
+}
+
+/**
+ * Sets one event's tags by hand on this device; no tags removes the override
+ * (a shared override is switched off on this device)
+ * @param {string} eventId - Event id (name and dates)
+ * @param {Array|string} tags - Tags, or comma-separated text
+ */
+function setOverride(eventId, tags) {
+    const layer = loadLocalLayer();
+    const cleaned = cleanTags(tags);
+    if (cleaned.length > 0 || loadSharedTable().overrides[eventId]) {
+        layer.overrides[eventId] = cleaned;
+    } else {
+        delete layer.overrides[eventId];
+    }
+    saveLocalLayer(layer);
+}
+
+/**
+ * Compiles rules into name matchers once, so tagging every event doesn't rebuild each regex
+ * @returns {Array} [{ tags, matches(eventName) }] in rule order
+ */
+function compileRules(rules) {
+    return rules.map(rule => {
+        if (!rule.regex) {
+            const pattern = rule.pattern.toLowerCase();
+            return { tags: rule.tags, matches: name => name.toLowerCase().includes(pattern) };
+        }
+        try {
+            const regex = new RegExp(rule.pattern, 'i');
+            return { tags: rule.tags, matches: name => regex.test(name) };
+        } catch (e) {
+            return { tags: rule.tags, matches: () => false };
+        }
+    });
+}
+
+/**
+ * Tags for an event name from compiled rules
+ */
+function matchTags(eventName, matchers) {
+    const name = String(eventName || '');
+    const tags = cleanTags(matchers
+        .filter(matcher => matcher.matches(name))
+        .flatMap(matcher => matcher.tags));
+    return tags.length > 0 ? tags : [FALLBACK_TAG];
+}
+
+/**
+ * Tags for an event name from the rules alone
+ * @param {string} eventName
+ * @param {Array} [rules] - Defaults to the stored rules
+ * @returns {Array<string>} Tags in rule order; ['Other'] when no rule matches
+ */
+function getTags(eventName, rules) {
+    return matchTags(eventName, compileRules(rules || listRules()));
+}
+
+/**
+ * Reads the event name and start date back out of an event id (name_start_end)
+ */
+function parseEventId(eventId) {
+    const match = String(eventId).match(/^(.*)_([^_]*)_([^_]*)$/);
+    return match
+        ? { eventName: match[1], startDate: match[2] }
+        : { eventName: String(eventId), startDate: '' };
+}
+
+/**
+ * Days between two YYYY-MM-DD dates (Infinity when either is missing)
+ */
+function daysApart(date1, date2) {
+    const time1 = Date.parse(date1);
+    const time2 = Date.parse(date2);
+    return Number.isNaN(time1) || Number.isNaN(time2) ? Infinity : Math.abs(time1 - time2) / 86400000;
+}
+
+/**
+ * Matches saved per-event entries (manual overrides, calendar UIDs) to the current events
+ * Entries are keyed by event id, which includes the dates; an entry whose event was
+ * rescheduled follows the event with the same name nearest its old start date
+ * @param {Object} entries - Keyed by event id
+ * @param {Array} events - Every current event, so entries for other events aren't taken
+ * @returns {Map} event id -> entry's event id
+ */
+function matchEventIds(entries, events) {
+    const matches = new Map();
+    const eventIds = new Set(events.map(event => event.id));
+    events.forEach(event => {
+        if (entries[event.id]) matches.set(event.id, event.id);
+    });
+    
+    Object.keys(entries).filter(entryId => !eventIds.has(entryId)).forEach(entryId => {
+        const original = parseEventId(entryId);
+        const nearest = events
+            .filter(event => !matches.has(event.id) && String(event.eventName || '').toLowerCase() === original.eventName)
+            .sort((a, b) => daysApart(a.startDate, original.startDate) - daysApart(b.startDate, original.startDate))[0];
+        if (nearest) matches.set(nearest.id, entryId);
+    });
+    
+    return matches;
+}
+
+/**
+ * Tags every event: a manual override wins, otherwise the rules decide
+ * category is kept as the first tag for views that show a single one (e.g. calendar colors)
+ * @param {Array} events
+ * @returns {Array} Copies with tags, category and tagsOverridden set; tagsOverrideId is
+ *   the id the override is stored under (the event's old id if it was rescheduled)
+ */
+function tagEvents(events) {
+    const table = loadRuleTable();
+    const allEvents = events || [];
+    const matchers = compileRules(table.rules);
+    const overrideIds = matchEventIds(table.overrides, allEvents);
+    return allEvents.map(event => {
+        const overrideId = overrideIds.get(event.id) || null;
+        const tags = overrideId ? table.overrides[overrideId] : matchTags(event.eventName, matchers);
+        return { ...event, tags: tags, category: tags[0], tagsOverridden: !!overrideId, tagsOverrideId: overrideId };
+    });
+}
+
+/**
+ * Overrides that no longer match any event (e.g. the event was renamed)
+ * @param {Array} events
+ * @returns {Array} [{ id, eventName, startDate, tags }] eventName is lowercase, from the id
+ */
+function listOrphanedOverrides(events) {
+    const table = loadRuleTable();
+    const matched = new Set(matchEventIds(table.overrides, events || []).values());
+    return Object.keys(table.overrides)
+        .filter(overrideId => !matched.has(overrideId))
+        .map(overrideId => ({ id: overrideId, ...parseEventId(overrideId), tags: table.overrides[overrideId] }));
+}
+
+/**
+ * An event's tags (events built before tagging only have a category)
+ */
+function getEventTags(event) {
+    if (!event) return [];
+    return Array.isArray(event.tags) ? event.tags : [event.category || FALLBACK_TAG];
+}
+
+/**
+ * Checks whether an event has a tag
+ */
+function hasTag(event, tag) {
+    return getEventTags(event).includes(tag);
+}
+
+/**
+ * Every tag in use: the standard categories first, then rule and event tags
+ * @param {Array<string>} standardTags - e.g. GoogleSheet.EVENT_CATEGORIES
+ * @param {Array} events - Tagged events
+ */
+function listTags(standardTags, events) {
+    const table = loadRuleTable();
+    return cleanTags((standardTags || [])
+        .concat(table.rules.flatMap(rule => rule.tags))
+        .concat((events || []).flatMap(getEventTags)));
+}
+
+/**
+ * Downloads the rules and overrides in effect as a JSON file, in the shape of
+ * DEFAULT_CATEGORY_CONFIG so it can be pasted into categoryConfig.js to share it
+ */
+function exportRules() {
+    const table = loadRuleTable();
+    window.SpreadsheetExport.downloadFile(JSON.stringify({
+        version: CATEGORY_RULES_VERSION,
+        rules: table.rules,
+        overrides: table.overrides
+    }, null, 2), 'category-rules.json', 'application/json');
+}
+
+/**
+ * Replaces this device's rules and overrides with an exported file's
+ * @returns {number} Number of rules imported
+ * @throws {Error} When the file is not a rules export or a rule is invalid
+ */
+function importRules(jsonText) {
+    const parsed = JSON.parse(jsonText);
+    if (!parsed || !Array.isArray(parsed.rules)) {
+        throw new Error('File is not a category rules export');
+    }
+    
+    const rules = parsed.rules.map(cleanRule);
+    saveLocalLayer({ rules: rules, overrides: cleanOverrides(parsed.overrides, false) });
+    return rules.length;
+}
+
+// Export API
+window.CategoryRules = {
+    listRules,
+    hasDeviceRules,
+    addRule,
+    removeRule,
+    moveRule,
+    resetRules,
+    setOverride,
+    getTags,
+    tagEvents,
+    listOrphanedOverrides,
+    matchEventIds,
+    getEventTags,
+    hasTag,
+    listTags,
+    exportRules,
+    importRules
+};
@@ -0,0 +1,173 @@
+/**
+ * Change Log Module
+ * Keeps timestamped snapshots of the loaded events in IndexedDB so the app can
+ * show who signed up or dropped since the last visit (or any older snapshot)
+ */
+
+const CHANGE_LOG_DB_NAME = 't132_change_log';
+const CHANGE_LOG_DB_VERSION = 1;
+const CHANGE_LOG_STORE_NAME = 'snapshots';
+
+// Oldest snapshots are pruned beyond this many
+const MAX_SNAPSHOTS = 30;
+
+/**
+ * Opens (and on first use creates) the change log database
+ * @returns {Promise<IDBDatabase|null>} null if IndexedDB isn't available
+ */
+function openChangeLogDatabase() {
+    return new Promise((resolve) => {
+        if (typeof indexedDB === 'undefined') {
+            resolve(null);
+            return;
+        }
+        
+        const request = indexedDB.open(CHANGE_LOG_DB_NAME, CHANGE_LOG_DB_VERSION);
+        request.onupgradeneeded = () => {
+            request.result.createObjectStore(CHANGE_LOG_STORE_NAME, { keyPath: 'id', autoIncrement: true });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+            console.warn('Change log unavailable:', request.error);
+            resolve(null);
+        };
+    });
+}
+
+/**
+ * Reads every stored snapshot, oldest first
+ * @returns {Promise<Array>} [{ id, savedAt, events }]
+ */
+function readAllSnapshots(db) {
+    return new Promise((resolve) => {
+        const request = db.transaction(CHANGE_LOG_STORE_NAME, 'readonly')
+            .objectStore(CHANGE_LOG_STORE_NAME)
+            .getAll();
+        request.onsuccess = () => resolve(request.result || []);
+        request.onerror = () => {
+            console.warn('Could not read change log:', request.error);
+            resolve([]);
+        };
+    });
+}
+
+/**
+ * Keeps only the fields a diff needs
+ */
+function toSnapshotEvents(events) {
+    return (events || []).map(event => ({
+        id: event.id,
+        eventName: event.eventName,
+        startDate: event.startDate,
+        endDate: event.endDate,
+        category: event.category,
+        scouts: [...(event.scouts || [])],
+        adults: [...(event.adults || [])]
+    }));
+}
+
+/**
+ * Saves the current events as a new snapshot, unless nothing changed since the latest one
+ * Failures are logged only - the change log never fails a load
+ * @param {Array} events - Current events (future and past)
+ * @returns {Promise<Object|null>} The saved snapshot, or null if none was saved
+ */
+async function saveSnapshot(events) {
+    const db = await openChangeLogDatabase();
+    if (!db) return null;
+    
+    const snapshots = await readAllSnapshots(db);
+    const latest = snapshots[snapshots.length - 1];
+    const snapshotEvents = toSnapshotEvents(events);
+    
+    if (latest && !window.EventDiff.hasChanges(window.EventDiff.diffEvents(latest.events, snapshotEvents))) {
+        db.close();
+        return null;
+    }
+    
+    const snapshot = {
+        savedAt: new Date().toISOString(),
+        events: snapshotEvents
+    };
+    
+    await new Promise((resolve) => {
+        const transaction = db.transaction(CHANGE_LOG_STORE_NAME, 'readwrite');
+        const store = transaction.objectStore(CHANGE_LOG_STORE_NAME);
+        const request = store.add(snapshot);
+        request.onsuccess = () => {
+            snapshot.id = request.result;
+        };
+        
+        // Prune the oldest beyond the limit (the new one counts)
+        snapshots.slice(0, Math.max(0, snapshots.length + 1 - MAX_SNAPSHOTS)).forEach(old => {
+            store.delete(old.id);
+        });
+        
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => {
+            console.warn('Could not save change log snapshot:', transaction.error);
+            resolve();
+        };
+    });
+    db.close();
+    
+    return snapshot.id ? snapshot : null;
+}
+
+/**
+ * Lists stored snapshots, newest first
+ * @returns {Promise<Array>} [{ id, savedAt, eventCount }]
+ */
+async function listSnapshots() {
+    const db = await openChangeLogDatabase();
+    if (!db) return [];
+    
+    const snapshots = await readAllSnapshots(db);
+    db.close();
+    
+    return snapshots
+        .map(snapshot => ({ id: snapshot.id, savedAt: snapshot.savedAt, eventCount: snapshot.events.length }))
+        .reverse();
+}
+
+/**
+ * Loads one snapshot
+ * @returns {Promise<Object|null>} { id, savedAt, events } or null if it doesn't exist
+ */
+async function loadSnapshot(id) {
+    const db = await openChangeLogDatabase();
+    if (!db) return null;
+    
+    const snapshot = await new Promise((resolve) => {
+        const request = db.transaction(CHANGE_LOG_STORE_NAME, 'readonly')
+            .objectStore(CHANGE_LOG_STORE_NAME)
+            .get(id);
+        request.onsuccess = () => resolve(request.result || null);
+        request.onerror = () => {
+            console.warn('Could not read change log snapshot:', request.error);
+            resolve(null);
+        };
+    });
+    db.close();
+    
+    return snapshot;
+}
+
+/**
+ * Picks the snapshot to compare against by default: the newest one saved before this visit
+ * @param {Array} snapshots - From listSnapshots (newest first)
+ * @param {string} visitStartedAt - ISO time the page was opened
+ * @returns {Object|null}
+ */
+function findLastVisitSnapshot(snapshots, visitStartedAt) {
+    return (snapshots || []).find(snapshot => snapshot.savedAt < visitStartedAt) || null;
+}
+
+// Export API
+window.ChangeLog = {
+    MAX_SNAPSHOTS,
+    saveSnapshot,
+    listSnapshots,
+    loadSnapshot,
+    findLastVisitSnapshot
+};
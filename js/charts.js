@@ -0,0 +1,175 @@
+/**
+ * Charts Module
+ * Draws small inline SVG charts for the analytics dashboard (no chart library needed)
+ * Each function returns SVG markup; colors come from the chart-* classes in style.css
+ */
+
+const CHART_WIDTH = 640;
+const CHART_HEIGHT = 220;
+const CHART_PADDING = { top: 16, right: 16, bottom: 40, left: 40 };
+
+/**
+ * Escapes text placed inside SVG markup
+ */
+function escapeSvgText(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * A rounded-up axis maximum, so gridlines land on whole numbers
+ */
+function getNiceMax(maxValue) {
+    if (maxValue <= 4) return Math.max(1, Math.ceil(maxValue));
+    const step = Math.pow(10, Math.floor(Math.log10(maxValue)));
+    return Math.ceil(maxValue / (step / 2)) * (step / 2);
+}
+
+/**
+ * Gridlines, value labels and x-axis labels shared by the column and line charts
+ * Long label lists only show every few labels so they don't overlap
+ */
+function renderAxes(labels, maxValue, slotWidth) {
+    const plotHeight = CHART_HEIGHT - CHART_PADDING.top - CHART_PADDING.bottom;
+    const labelEvery = Math.max(1, Math.ceil(labels.length / 12));
+    let svg = '';
+    
+    [0, 0.5, 1].forEach(fraction => {
+        const y = CHART_PADDING.top + plotHeight * (1 - fraction);
+        svg += `<line class="chart-gridline" x1="${CHART_PADDING.left}" y1="${y}" x2="${CHART_WIDTH - CHART_PADDING.right}" y2="${y}"></line>`;
+        svg += `<text class="chart-label" x="${CHART_PADDING.left - 6}" y="${y + 4}" text-anchor="end">${Math.round(maxValue * fraction * 10) / 10}</text>`;
+    });
+    
+    labels.forEach((label, index) => {
+        if (index % labelEvery !== 0) return;
+        const x = CHART_PADDING.left + slotWidth * (index + 0.5);
+        svg += `<text class="chart-label" x="${x}" y="${CHART_HEIGHT - CHART_PADDING.bottom + 16}" text-anchor="middle">${escapeSvgText(label)}</text>`;
+    });
+    
+    return svg;
+}
+
+/**
+ * Wraps chart contents in an <svg> that scales to its container
+ */
+function wrapSvg(content, title) {
+    return `<svg class="chart" viewBox="0 0 ${CHART_WIDTH} ${CHART_HEIGHT}" role="img" aria-label="${escapeSvgText(title)}">${content}</svg>`;
+}
+
+/**
+ * Vertical bars, one per point
+ * @param {Array} points - [{ label, value }]
+ * @param {string} title - Accessible name for the chart
+ */
+function columnChart(points, title) {
+    const plotWidth = CHART_WIDTH - CHART_PADDING.left - CHART_PADDING.right;
+    const plotHeight = CHART_HEIGHT - CHART_PADDING.top - CHART_PADDING.bottom;
+    const maxValue = getNiceMax(Math.max(0, ...points.map(point => point.value)));
+    const slotWidth = plotWidth / Math.max(1, points.length);
+    const barWidth = Math.max(2, slotWidth * 0.7);
+    
+    let svg = renderAxes(points.map(point => point.label), maxValue, slotWidth);
+    points.forEach((point, index) => {
+        const height = plotHeight * (point.value / maxValue);
+        const x = CHART_PADDING.left + slotWidth * index + (slotWidth - barWidth) / 2;
+        const y = CHART_PADDING.top + plotHeight - height;
+        svg += `<rect class="chart-bar" x="${x}" y="${y}" width="${barWidth}" height="${height}"><title>${escapeSvgText(`${point.label}: ${point.value}`)}</title></rect>`;
+    });
+    
+    return wrapSvg(svg, title);
+}
+
+/**
+ * One line per series over shared labels
+ * A null value leaves a gap in its line
+ * @param {Array<string>} labels - x-axis labels
+ * @param {Array} series - [{ name, values: [number|null], className }] className picks the line color
+ * @param {string} title - Accessible name for the chart
+ */
+function lineChart(labels, series, title) {
+    const plotWidth = CHART_WIDTH - CHART_PADDING.left - CHART_PADDING.right;
+    const plotHeight = CHART_HEIGHT - CHART_PADDING.top - CHART_PADDING.bottom;
+    const maxValue = getNiceMax(Math.max(0, ...series.flatMap(line => line.values.filter(value => value !== null))));
+    const slotWidth = plotWidth / Math.max(1, labels.length);
+    
+    let svg = renderAxes(labels, maxValue, slotWidth);
+    series.forEach(line => {
+        const coordinates = line.values.map((value, index) => value === null ? null : {
+            x: CHART_PADDING.left + slotWidth * (index + 0.5),
+            y: CHART_PADDING.top + plotHeight * (1 - value / maxValue),
+            value: value,
+            label: labels[index]
+        });
+        
+        // Start a new segment after each gap
+        const path = coordinates.map((point, index) => {
+            if (!point) return '';
+            return `${index > 0 && coordinates[index - 1] ? 'L' : 'M'}${point.x},${point.y}`;
+        }).filter(command => command).join(' ');
+        svg += `<path class="chart-line ${line.className}" d="${path}"></path>`;
+        coordinates.filter(point => point).forEach(point => {
+            svg += `<circle class="chart-point ${line.className}" cx="${point.x}" cy="${point.y}" r="3"><title>${escapeSvgText(`${line.name}, ${point.label}: ${point.value}`)}</title></circle>`;
+        });
+    });
+    
+    return wrapSvg(svg, title);
+}
+
+/**
+ * Horizontal bars with their label and value, largest first as given
+ * @param {Array} points - [{ label, value, detail }] detail is shown after the value
+ * @param {string} title - Accessible name for the chart
+ */
+function barList(points, title) {
+    const rowHeight = 28;
+    const labelWidth = 150;
+    const barSpace = CHART_WIDTH - labelWidth - 120;
+    const height = Math.max(rowHeight, points.length * rowHeight);
+    const maxValue = Math.max(1, ...points.map(point => point.value));
+    
+    const rows = points.map((point, index) => {
+        const y = index * rowHeight;
+        const width = Math.max(2, barSpace * (point.value / maxValue));
+        return `
+            <text class="chart-label" x="${labelWidth - 8}" y="${y + 18}" text-anchor="end">${escapeSvgText(point.label)}</text>
+            <rect class="chart-bar" x="${labelWidth}" y="${y + 6}" width="${width}" height="${rowHeight - 12}"></rect>
+            <text class="chart-label" x="${labelWidth + width + 6}" y="${y + 18}">${escapeSvgText(`${point.value}${point.detail ? ` ${point.detail}` : ''}`)}</text>
+        `;
+    }).join('');
+    
+    return `<svg class="chart" viewBox="0 0 ${CHART_WIDTH} ${height}" role="img" aria-label="${escapeSvgText(title)}">${rows}</svg>`;
+}
+
+/**
+ * A single bar split into parts, e.g. scouts vs adults
+ * @param {Array} parts - [{ label, value, className }]
+ * @param {string} title - Accessible name for the chart
+ */
+function ratioBar(parts, title) {
+    const total = parts.reduce((sum, part) => sum + part.value, 0);
+    let x = 0;
+    
+    const segments = parts.map(part => {
+        const width = total > 0 ? CHART_WIDTH * (part.value / total) : 0;
+        const percent = total > 0 ? Math.round((part.value / total) * 100) : 0;
+        const segment = `
+            <rect class="chart-bar ${part.className}" x="${x}" y="0" width="${width}" height="28"><title>${escapeSvgText(`${part.label}: ${part.value} (${percent}%)`)}</title></rect>
+            ${width > 90 ? `<text class="chart-label chart-label-inside" x="${x + 8}" y="19">${escapeSvgText(`${part.label} ${percent}%`)}</text>` : ''}
+        `;
+        x += width;
+        return segment;
+    }).join('');
+    
+    return `<svg class="chart" viewBox="0 0 ${CHART_WIDTH} 28" role="img" aria-label="${escapeSvgText(title)}">${segments}</svg>`;
+}
+
+// Export API
+window.Charts = {
+    columnChart,
+    lineChart,
+    barList,
+    ratioBar
+};
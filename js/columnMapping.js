@@ -0,0 +1,123 @@
+/**
+ * Column Mapping Module
+ * Explicit mapping from signup sheet headers to the fields the app reads
+ * Each mapping declares the format version it was written for; a mapping in an
+ * older or newer format is rejected instead of being half-applied
+ */
+
+// Mapping format this code reads; bump it (and update every mapping) when the shape changes
+const COLUMN_MAPPING_VERSION = 1;
+
+/**
+ * Default mapping for the signup form
+ * Each field lists the headers it accepts (matched ignoring case and extra spaces);
+ * add the old wording alongside the new one when a form question is reworded
+ * Extra fields are optional and passed through on each signup as-is
+ */
+const DEFAULT_COLUMN_MAPPING = {
+    version: COLUMN_MAPPING_VERSION,
+    fields: {
+        event: { headers: ['Which event did you signup for?'], required: true },
+        firstName: { headers: ['First Name'], required: true },
+        lastName: { headers: ['Last Name'], required: true },
+        patrol: { headers: ['Patrol Leader - Patrol?'], required: true },
+        timestamp: { headers: ['Timestamp'], required: false }
+    },
+    extraFields: {
+        // e.g. email: { headers: ['Email Address'] }
+    }
+};
+
+/**
+ * Normalizes a header for comparison (case and whitespace insensitive)
+ */
+function normalizeHeader(header) {
+    return String(header || '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Finds the sheet column for one mapped field
+ * @returns {string} The matching column name, or '' if none matches
+ */
+function findColumn(columns, fieldConfig) {
+    const accepted = (fieldConfig && Array.isArray(fieldConfig.headers))
+        ? fieldConfig.headers.map(normalizeHeader)
+        : [];
+    return columns.find(col => accepted.includes(normalizeHeader(col))) || '';
+}
+
+/**
+ * Checks a mapping against the sheet's columns
+ * @param {Array<string>} columns - Column names from parseSheetData
+ * @param {Object} mapping - Column mapping (defaults to DEFAULT_COLUMN_MAPPING)
+ * @returns {Object} { valid, fieldColumns, extraColumns, missing: [{ field, headers }] }
+ */
+function validateColumnMapping(columns, mapping) {
+    const config = mapping || DEFAULT_COLUMN_MAPPING;
+    const sheetColumns = Array.isArray(columns) ? columns : [];
+    const fieldColumns = {};
+    const extraColumns = {};
+    const missing = [];
+    
+    Object.entries(config.fields || {}).forEach(([field, fieldConfig]) => {
+        const column = findColumn(sheetColumns, fieldConfig);
+        fieldColumns[field] = column;
+        if (!column && fieldConfig.required) {
+            missing.push({ field: field, headers: fieldConfig.headers || [] });
+        }
+    });
+    
+    Object.entries(config.extraFields || {}).forEach(([field, fieldConfig]) => {
+        const column = findColumn(sheetColumns, fieldConfig);
+        if (column) {
+            extraColumns[field] = column;
+        }
+    });
+    
+    return {
+        valid: missing.length === 0,
+        fieldColumns: fieldColumns,
+        extraColumns: extraColumns,
+        missing: missing
+    };
+}
+
+/**
+ * Resolves the mapping against the sheet's columns, throwing if the mapping is in another
+ * format or a required column is missing
+ * @returns {Object} { fieldColumns, extraColumns } - field name -> sheet column name
+ */
+function resolveColumns(columns, mapping) {
+    const config = mapping || DEFAULT_COLUMN_MAPPING;
+    if (config.version !== COLUMN_MAPPING_VERSION) {
+        throw new Error(
+            `Column mapping version ${config.version} is not supported; ` +
+            `this app reads version ${COLUMN_MAPPING_VERSION} (see js/columnMapping.js).`
+        );
+    }
+    
+    const result = validateColumnMapping(columns, config);
+    
+    if (!result.valid) {
+        const missingList = result.missing
+            .map(item => `${item.field} (expected header: "${item.headers.join('" or "')}")`)
+            .join(', ');
+        throw new Error(
+            `Signup sheet is missing required column(s): ${missingList}. ` +
+            'The column mapping needs updating to match the sheet headers.'
+        );
+    }
+    
+    return {
+        fieldColumns: result.fieldColumns,
+        extraColumns: result.extraColumns
+    };
+}
+
+// Export API
+window.ColumnMapping = {
+    COLUMN_MAPPING_VERSION,
+    DEFAULT_COLUMN_MAPPING,
+    validateColumnMapping,
+    resolveColumns
+};
@@ -0,0 +1,167 @@
+/**
+ * Data Quality Module
+ * Reports signups that were dropped or look wrong after an import
+ * so leaders can fix the source sheet
+ */
+
+/**
+ * Describes what looks wrong with one part of a name (first or last)
+ * @returns {Array<string>} Problems found (empty if the name looks fine)
+ */
+function findNameProblems(value, label) {
+    const problems = [];
+    const raw = String(value || '');
+    const trimmed = raw.trim();
+    if (!trimmed) return problems;
+    
+    if (raw !== trimmed) {
+        problems.push(`${label} has leading/trailing spaces`);
+    }
+    if (/\s{2,}/.test(trimmed)) {
+        problems.push(`${label} has repeated spaces`);
+    }
+    if (/[a-z]/i.test(trimmed) && trimmed.length > 1) {
+        if (trimmed === trimmed.toLowerCase()) {
+            problems.push(`${label} is all lowercase`);
+        } else if (trimmed === trimmed.toUpperCase()) {
+            problems.push(`${label} is all uppercase`);
+        }
+    }
+    if (/\d/.test(trimmed)) {
+        problems.push(`${label} contains digits`);
+    }
+    if (/[^\p{L}]$/u.test(trimmed)) {
+        problems.push(`${label} ends with "${trimmed.slice(-1)}"`);
+    }
+    
+    return problems;
+}
+
+/**
+ * Builds the data-quality report for one load
+ * @param {Object} sheetData - Loaded sheet data (one or more tabs with columns, rows, rowNumbers, fieldColumns)
+ * @param {Array} allEvents - Events produced by convertSheetToEvents
+ * @returns {Object} { totalRows, failedSources, skippedRows, nameIssues, undatedEvents, scoutAdultOverlap }
+ */
+function buildReport(sheetData, allEvents) {
+    const report = {
+        totalRows: 0,
+        failedSources: [],      // { source, message }
+        skippedRows: [],        // { row, reasons, eventText, name } - row is "#12" or "2024–25 #12"
+        nameIssues: [],         // { name, problems, rows }
+        undatedEvents: [],      // { eventText, rows }
+        scoutAdultOverlap: []   // { name, scoutEvents, adultEvents }
+    };
+    
+    const sheets = window.GoogleSheet.getSheets(sheetData);
+    if (sheets.length === 0) {
+        return report;
+    }
+    
+    const nameIssueMap = new Map();   // name -> { name, problems, rows }
+    const undatedMap = new Map();     // event text -> { eventText, rows }
+    
+    // Label rows with their tab only when there is more than one
+    const labelSources = sheets.length > 1;
+    report.failedSources = (sheetData && sheetData.failedSources) || [];
+    
+    sheets.forEach(sheet => {
+        const { fieldColumns, extraColumns } = sheet.fieldColumns
+            ? sheet
+            : window.ColumnMapping.resolveColumns(sheet.columns || []);
+        const rowNumbers = sheet.rowNumbers || [];
+        const sourceLabel = labelSources && sheet.source ? sheet.source.label : '';
+        
+        report.totalRows += sheet.rows.length;
+        
+        sheet.rows.forEach((row, index) => {
+            const rowNumber = rowNumbers[index] || index + 2;
+            const rowLabel = sourceLabel ? `${sourceLabel} #${rowNumber}` : `#${rowNumber}`;
+            const eventInfo = window.GoogleSheet.extractEventFromRow(row, fieldColumns, extraColumns);
+            const eventText = String(row[fieldColumns.event] || '').trim();
+            
+            // Same checks as convertSheetToEvents
+            const reasons = [];
+            if (!eventInfo.eventName) reasons.push('No event name');
+            if (eventInfo.eventName && !eventInfo.startDate) reasons.push('Event date could not be parsed');
+            if (!eventInfo.scoutName) reasons.push('No first or last name');
+            
+            if (reasons.length > 0) {
+                report.skippedRows.push({
+                    row: rowLabel,
+                    reasons: reasons,
+                    eventText: eventText,
+                    name: eventInfo.scoutName
+                });
+            }
+            
+            if (eventInfo.eventName && !eventInfo.startDate) {
+                if (!undatedMap.has(eventText)) {
+                    undatedMap.set(eventText, { eventText: eventText, rows: [] });
+                }
+                undatedMap.get(eventText).rows.push(rowLabel);
+            }
+            
+            const problems = [
+                ...findNameProblems(row[fieldColumns.firstName], 'First name'),
+                ...findNameProblems(row[fieldColumns.lastName], 'Last name')
+            ];
+            if (problems.length > 0 && eventInfo.scoutName) {
+                const key = `${row[fieldColumns.firstName]}|${row[fieldColumns.lastName]}`;
+                if (!nameIssueMap.has(key)) {
+                    nameIssueMap.set(key, { name: eventInfo.scoutName, problems: problems, rows: [] });
+                }
+                nameIssueMap.get(key).rows.push(rowLabel);
+            }
+        });
+    });
+    
+    report.nameIssues = Array.from(nameIssueMap.values());
+    report.undatedEvents = Array.from(undatedMap.values());
+    report.scoutAdultOverlap = findScoutAdultOverlap(allEvents);
+    
+    return report;
+}
+
+/**
+ * Finds people who signed up as a scout at some events and as an adult at others
+ */
+function findScoutAdultOverlap(allEvents) {
+    const people = new Map(); // normalized name -> { name, scoutEvents, adultEvents }
+    
+    const track = (name, role, event) => {
+        const normalized = String(name).toLowerCase().trim();
+        if (!normalized) return;
+        if (!people.has(normalized)) {
+            people.set(normalized, { name: String(name).trim(), scoutEvents: [], adultEvents: [] });
+        }
+        people.get(normalized)[role].push(event.eventName);
+    };
+    
+    (allEvents || []).forEach(event => {
+        (event.scouts || []).forEach(name => track(name, 'scoutEvents', event));
+        (event.adults || []).forEach(name => track(name, 'adultEvents', event));
+    });
+    
+    return Array.from(people.values())
+        .filter(person => person.scoutEvents.length > 0 && person.adultEvents.length > 0)
+        .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Counts all issues in a report
+ */
+function countIssues(report) {
+    if (!report) return 0;
+    return report.failedSources.length
+        + report.skippedRows.length
+        + report.nameIssues.length
+        + report.undatedEvents.length
+        + report.scoutAdultOverlap.length;
+}
+
+// Export API
+window.DataQuality = {
+    buildReport,
+    countIssues
+};
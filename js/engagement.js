@@ -0,0 +1,138 @@
+/**
+ * Engagement Module
+ * Finds scouts who have stopped coming to events, so leaders can call families early
+ * Attendance rate = the share of troop events a scout went to since their first event
+ * The inactivity window (in months) is stored in localStorage
+ */
+
+const INACTIVE_MONTHS_STORAGE_KEY = 't132_inactive_months';
+const DEFAULT_INACTIVE_MONTHS = 3;
+
+// A drop is flagged when the recent rate is at most half the scout's earlier rate,
+// for scouts with enough history (and a high enough earlier rate) to compare against
+const DECLINE_RATIO = 0.5;
+const MIN_EARLIER_EVENTS = 3;
+const MIN_EARLIER_RATE = 0.25;
+
+/**
+ * The inactivity window in months
+ */
+function getInactiveMonths() {
+    return window.Settings.getPositiveInteger(INACTIVE_MONTHS_STORAGE_KEY, DEFAULT_INACTIVE_MONTHS);
+}
+
+/**
+ * Saves the inactivity window
+ * @returns {number} The saved value (invalid input keeps the current one)
+ */
+function setInactiveMonths(months) {
+    return window.Settings.setPositiveInteger(INACTIVE_MONTHS_STORAGE_KEY, DEFAULT_INACTIVE_MONTHS, months);
+}
+
+/**
+ * Date an event finished on (YYYY-MM-DD)
+ */
+function getLastDay(event) {
+    return event.endDate || event.startDate;
+}
+
+/**
+ * Share of events attended, or null when there were none to attend
+ */
+function getRate(attended, total) {
+    return total > 0 ? Math.round((attended / total) * 100) / 100 : null;
+}
+
+/**
+ * Builds the inactive and declining scout lists
+ * @param {Array} futureEvents
+ * @param {Array} pastEvents
+ * @param {number} months - Inactivity window
+ * @param {string} [today] - YYYY-MM-DD, defaults to today
+ * @returns {Object} {
+ *   cutoffDate, inactive: [scout], declining: [scout]
+ * } where scout = { name, lastEvent, lastDate, daysGone, pastEvents, upcomingEvents,
+ *   attendanceRate, recentRate, earlierRate }, longest gone / biggest drop first
+ */
+function findInactiveScouts(futureEvents, pastEvents, months, today) {
+    const todayDate = window.HistoryManager.parseLocalDate(today || window.HistoryManager.toLocalDateString());
+    // Same day of the month, months earlier; clamped to the shorter month's last day
+    // so May 31 minus 3 months is Feb 28 rather than rolling over into March
+    const cutoffMonth = todayDate.getMonth() - months;
+    const daysInCutoffMonth = new Date(todayDate.getFullYear(), cutoffMonth + 1, 0).getDate();
+    const cutoff = new Date(todayDate.getFullYear(), cutoffMonth, Math.min(todayDate.getDate(), daysInCutoffMonth));
+    const cutoffDate = window.HistoryManager.toLocalDateString(cutoff);
+    
+    const datedPast = (pastEvents || []).filter(event => event && event.startDate);
+    const upcomingCounts = new Map();
+    (futureEvents || []).forEach(event => {
+        (event.scouts || []).forEach(name => {
+            const key = String(name).toLowerCase().trim();
+            upcomingCounts.set(key, (upcomingCounts.get(key) || 0) + 1);
+        });
+    });
+    
+    // Each scout's past events, oldest first
+    const scoutMap = new Map(); // normalized name -> { name, events: [] }
+    [...datedPast]
+        .sort((a, b) => getLastDay(a).localeCompare(getLastDay(b)))
+        .forEach(event => {
+            (event.scouts || []).forEach(scoutName => {
+                const name = String(scoutName).trim();
+                if (!name) return;
+                const key = name.toLowerCase();
+                if (!scoutMap.has(key)) {
+                    scoutMap.set(key, { name: name, events: [] });
+                }
+                scoutMap.get(key).events.push(event);
+            });
+        });
+    
+    const inactive = [];
+    const declining = [];
+    
+    scoutMap.forEach((scout, key) => {
+        const firstDate = scout.events[0].startDate;
+        const lastEvent = scout.events[scout.events.length - 1];
+        const lastDate = getLastDay(lastEvent);
+        
+        // Troop events the scout could have gone to, before and inside the window
+        const troopSinceFirst = datedPast.filter(event => event.startDate >= firstDate);
+        const troopEarlier = troopSinceFirst.filter(event => getLastDay(event) < cutoffDate);
+        const troopRecent = troopSinceFirst.filter(event => getLastDay(event) >= cutoffDate);
+        const attendedEarlier = scout.events.filter(event => getLastDay(event) < cutoffDate).length;
+        const attendedRecent = scout.events.length - attendedEarlier;
+        
+        const entry = {
+            name: scout.name,
+            lastEvent: lastEvent.eventName,
+            lastDate: lastDate,
+            daysGone: Math.max(0, window.HistoryManager.getEventDays(lastDate, window.HistoryManager.toLocalDateString(todayDate)) - 1),
+            pastEvents: scout.events.length,
+            upcomingEvents: upcomingCounts.get(key) || 0,
+            attendanceRate: getRate(scout.events.length, troopSinceFirst.length),
+            recentRate: getRate(attendedRecent, troopRecent.length),
+            earlierRate: getRate(attendedEarlier, troopEarlier.length)
+        };
+        
+        if (lastDate < cutoffDate && entry.upcomingEvents === 0) {
+            inactive.push(entry);
+        } else if (attendedEarlier >= MIN_EARLIER_EVENTS &&
+            entry.earlierRate !== null && entry.earlierRate >= MIN_EARLIER_RATE &&
+            entry.recentRate !== null && entry.recentRate <= entry.earlierRate * DECLINE_RATIO) {
+            declining.push(entry);
+        }
+    });
+    
+    inactive.sort((a, b) => b.daysGone - a.daysGone || a.name.localeCompare(b.name));
+    declining.sort((a, b) => (b.earlierRate - b.recentRate) - (a.earlierRate - a.recentRate) || a.name.localeCompare(b.name));
+    
+    return { cutoffDate: cutoffDate, inactive: inactive, declining: declining };
+}
+
+// Export API
+window.Engagement = {
+    getInactiveMonths,
+    setInactiveMonths,
+    findInactiveScouts
+};
@@ -0,0 +1,134 @@
+/**
+ * Event Diff Module
+ * Compares two event lists to describe what changed between loads:
+ * signups added/dropped per event, and events added, removed or rescheduled
+ */
+
+/**
+ * Lists names in one array but not the other (case-insensitive)
+ */
+function namesMissingFrom(names, otherNames) {
+    const other = new Set((otherNames || []).map(name => String(name).toLowerCase().trim()));
+    return (names || []).filter(name => !other.has(String(name).toLowerCase().trim()));
+}
+
+/**
+ * Compares the people signed up for two versions of the same event
+ * @returns {Object|null} { addedScouts, removedScouts, addedAdults, removedAdults } or null if unchanged
+ */
+function diffPeople(oldEvent, newEvent) {
+    const change = {
+        addedScouts: namesMissingFrom(newEvent.scouts, oldEvent.scouts),
+        removedScouts: namesMissingFrom(oldEvent.scouts, newEvent.scouts),
+        addedAdults: namesMissingFrom(newEvent.adults, oldEvent.adults),
+        removedAdults: namesMissingFrom(oldEvent.adults, newEvent.adults)
+    };
+    
+    const hasChanges = change.addedScouts.length + change.removedScouts.length +
+        change.addedAdults.length + change.removedAdults.length > 0;
+    return hasChanges ? change : null;
+}
+
+/**
+ * Diffs two event lists
+ * Events are matched by id (name + dates); an unmatched removed/added pair with the
+ * same name is reported as rescheduled rather than as two separate changes
+ * @param {Array} oldEvents - Previous events
+ * @param {Array} newEvents - Current events
+ * @returns {Object} { addedEvents, removedEvents, rescheduledEvents: [{ from, to, people }], changedEvents: [{ event, ...people }] }
+ */
+function diffEvents(oldEvents, newEvents) {
+    const oldById = new Map((oldEvents || []).map(event => [event.id, event]));
+    const newById = new Map((newEvents || []).map(event => [event.id, event]));
+    
+    const diff = {
+        addedEvents: [],
+        removedEvents: [],
+        rescheduledEvents: [],
+        changedEvents: []
+    };
+    
+    newById.forEach((event, id) => {
+        if (!oldById.has(id)) {
+            diff.addedEvents.push(event);
+            return;
+        }
+        const people = diffPeople(oldById.get(id), event);
+        if (people) {
+            diff.changedEvents.push({ event: event, ...people });
+        }
+    });
+    
+    oldById.forEach((event, id) => {
+        if (!newById.has(id)) {
+            diff.removedEvents.push(event);
+        }
+    });
+    
+    // Same name, different dates: rescheduled
+    diff.removedEvents = diff.removedEvents.filter(oldEvent => {
+        const name = String(oldEvent.eventName).toLowerCase();
+        const movedIndex = diff.addedEvents.findIndex(newEvent => String(newEvent.eventName).toLowerCase() === name);
+        if (movedIndex === -1) return true;
+        
+        const newEvent = diff.addedEvents.splice(movedIndex, 1)[0];
+        diff.rescheduledEvents.push({
+            from: oldEvent,
+            to: newEvent,
+            people: diffPeople(oldEvent, newEvent)
+        });
+        return false;
+    });
+    
+    return diff;
+}
+
+/**
+ * Checks whether a diff has any changes
+ */
+function hasChanges(diff) {
+    return !!diff && (diff.addedEvents.length + diff.removedEvents.length +
+        diff.rescheduledEvents.length + diff.changedEvents.length) > 0;
+}
+
+/**
+ * Describes a diff in short sentences, e.g. "3 new signups for Winter Camp"
+ * @returns {Array<string>} One line per change, biggest changes first
+ */
+function summarizeDiff(diff) {
+    if (!hasChanges(diff)) return [];
+    
+    const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+    const lines = [];
+    
+    diff.changedEvents
+        .map(change => ({
+            name: change.event.eventName,
+            added: change.addedScouts.length + change.addedAdults.length,
+            removed: change.removedScouts.length + change.removedAdults.length
+        }))
+        .sort((a, b) => (b.added + b.removed) - (a.added + a.removed))
+        .forEach(change => {
+            if (change.added > 0) lines.push(`${plural(change.added, 'new signup')} for ${change.name}`);
+            if (change.removed > 0) lines.push(`${plural(change.removed, 'signup')} dropped from ${change.name}`);
+        });
+    
+    diff.addedEvents.forEach(event => {
+        lines.push(`New event: ${event.eventName}`);
+    });
+    diff.rescheduledEvents.forEach(move => {
+        lines.push(`${move.to.eventName} moved to ${window.UI.formatDate(move.to.startDate)}`);
+    });
+    diff.removedEvents.forEach(event => {
+        lines.push(`Event removed: ${event.eventName}`);
+    });
+    
+    return lines;
+}
+
+// Export API
+window.EventDiff = {
+    diffEvents,
+    hasChanges,
+    summarizeDiff
+};
@@ -1,52 +1,119 @@
 /**
  * Google Sheet Module
- * Loads future event signups from Google Sheets JSON feed
+ * Loads event signups from one or more Google Sheets JSON feeds
  */
 
 // Google Sheet Configuration
 const GOOGLE_SHEET_ID = '1uQ2dc9g1u_aY_H-I8C0Yudy2v00FASwYZdcortLOKaA';
 const GOOGLE_SHEET_GID = '375114749';
-const SHEET_JSON_URL = `https://docs.google.com/spreadsheets/d/${GOOGLE_SHEET_ID}/gviz/tq?tqx=out:json&gid=${GOOGLE_SHEET_GID}`;
 
 /**
- * Fetches future event signups from Google Sheet
- * @returns {Promise<Object>} Parsed sheet data with columns and rows
+ * Sheet tabs to load and merge
+ * Each program year (and some special trips) lives in its own tab; add older tabs here
+ * so scout profiles cover their full tenure. A source may set its own columnMapping
+ * (same shape and version as ColumnMapping.DEFAULT_COLUMN_MAPPING) when its form was worded differently.
+ * e.g. { id: '2024-25', label: '2024–25', sheetId: GOOGLE_SHEET_ID, gid: '123456789' }
  */
-async function loadFutureEvents() {
+const SHEET_SOURCES = [
+    { id: 'current', label: 'Current Year', sheetId: GOOGLE_SHEET_ID, gid: GOOGLE_SHEET_GID }
+];
+
+// Standard event categories (tags); the category rules can add more
+const EVENT_CATEGORIES = ['Eagle Project', 'Service Project', 'Fundraiser', 'Camping', 'Other'];
+
+/**
+ * Builds the JSON feed URL for a sheet tab
+ */
+function getSheetJsonUrl(source) {
+    return `https://docs.google.com/spreadsheets/d/${source.sheetId}/gviz/tq?tqx=out:json&gid=${source.gid}`;
+}
+
+/**
+ * Fetches and parses one sheet tab
+ * @param {Object} source - Entry from SHEET_SOURCES
+ * @returns {Promise<Object>} Parsed sheet data with columns, rows and the source it came from
+ */
+async function loadSheetSource(source) {
+    const response = await fetch(getSheetJsonUrl(source), {
+        cache: 'no-store',
+        headers: { 
+            'Cache-Control': 'no-cache',
+            'Pragma': 'no-cache'
+        }
+    });
+    
+    if (!response.ok) {
+        throw new Error(`Failed to fetch Google Sheet: ${response.status} ${response.statusText}`);
+    }
+    
+    // Google Sheets wraps JSON in a callback function
+    const text = await response.text();
+    const jsonMatch = text.match(/google\.visualization\.Query\.setResponse\((.*)\)/s);
+    
+    if (!jsonMatch || !jsonMatch[1]) {
+        throw new Error('Invalid response format from Google Sheets. Make sure the sheet is publicly viewable.');
+    }
+    
+    // Parse the JSON
+    const data = JSON.parse(jsonMatch[1]);
+    
+    if (!data.table || !data.table.rows) {
+        throw new Error('Invalid table structure in Google Sheets response');
+    }
+    
+    // Parse the table structure
+    const parsedData = parseSheetData(data.table);
+    
+    // Validate the column mapping now so a renamed header fails loudly
+    const resolved = window.ColumnMapping.resolveColumns(parsedData.columns, source.columnMapping);
+    parsedData.fieldColumns = resolved.fieldColumns;
+    parsedData.extraColumns = resolved.extraColumns;
+    parsedData.source = { id: source.id, label: source.label };
+    
+    return parsedData;
+}
+
+/**
+ * Fetches event signups from every configured sheet tab
+ * Tabs that fail are reported in failedSources; loading only fails if every tab fails
+ * @param {Array} sources - Sheet tabs to load (defaults to SHEET_SOURCES)
+ * @returns {Promise<Object>} { sources: [parsed sheet data], failedSources: [{ source, message }] }
+ */
+async function loadFutureEvents(sources) {
+    const sheetSources = Array.isArray(sources) ? sources : SHEET_SOURCES;
+    
     try {
-        const response = await fetch(SHEET_JSON_URL, {
-            cache: 'no-store',
-            headers: { 
-                'Cache-Control': 'no-cache',
-                'Pragma': 'no-cache'
+        const results = await Promise.allSettled(sheetSources.map(loadSheetSource));
+        
+        const loaded = [];
+        const failedSources = [];
+        results.forEach((result, index) => {
+            const source = sheetSources[index];
+            if (result.status === 'fulfilled') {
+                loaded.push(result.value);
+            } else {
+                console.warn(`Failed to load sheet "${source.label}":`, result.reason);
+                failedSources.push({
+                    source: { id: source.id, label: source.label },
+                    message: result.reason ? result.reason.message : 'Unknown error'
+                });
             }
         });
         
-        if (!response.ok) {
-            throw new Error(`Failed to fetch Google Sheet: ${response.status} ${response.statusText}`);
-        }
-        
-        // Google Sheets wraps JSON in a callback function
-        const text = await response.text();
-        const jsonMatch = text.match(/google\.visualization\.Query\.setResponse\((.*)\)/s);
-        
-        if (!jsonMatch || !jsonMatch[1]) {
-            throw new Error('Invalid response format from Google Sheets. Make sure the sheet is publicly viewable.');
-        }
-        
-        // Parse the JSON
-        const data = JSON.parse(jsonMatch[1]);
-        
-        if (!data.table || !data.table.rows) {
-            throw new Error('Invalid table structure in Google Sheets response');
+        if (loaded.length === 0) {
+            const firstFailure = failedSources[0];
+            throw new Error(sheetSources.length > 1
+                ? `No sheet could be loaded. ${firstFailure.source.label}: ${firstFailure.message}`
+                : (firstFailure ? firstFailure.message : 'No sheet sources configured'));
         }
         
-        // Parse the table structure
-        const parsedData = parseSheetData(data.table);
+        console.log('Future events loaded from Google Sheet:',
+            loaded.reduce((total, sheet) => total + sheet.rows.length, 0), 'rows from', loaded.length, 'source(s)');
         
-        console.log('Future events loaded from Google Sheet:', parsedData.rows.length, 'rows');
-        
-        return parsedData;
+        return {
+            sources: loaded,
+            failedSources: failedSources
+        };
         
     } catch (error) {
         console.error('Error loading future events:', error);
@@ -54,20 +121,33 @@ async function loadFutureEvents() {
     }
 }
 
+/**
+ * Lists the sheet tabs in loaded data
+ * Accepts the multi-source result of loadFutureEvents or a single parsed sheet
+ */
+function getSheets(sheetData) {
+    if (!sheetData) return [];
+    if (Array.isArray(sheetData.sources)) return sheetData.sources;
+    return Array.isArray(sheetData.rows) ? [sheetData] : [];
+}
+
 /**
  * Parses Google Sheets table structure into our format
  */
 function parseSheetData(table) {
     // Safely extract column names
+    // Unlabeled columns keep their position as "ColumnN" so later columns don't shift
     const columns = (table && table.cols && Array.isArray(table.cols))
-        ? table.cols.map(col => (col && col.label) ? col.label : '').filter(col => col !== '')
+        ? table.cols.map((col, index) => (col && col.label) ? col.label : `Column${index + 1}`)
         : [];
     
     // Safely extract rows
+    // rowNumbers[i] is the sheet row of rows[i] (row 1 is the header) for data-quality reports
     const rows = [];
+    const rowNumbers = [];
     
     if (table && table.rows && Array.isArray(table.rows)) {
-        table.rows.forEach((row) => {
+        table.rows.forEach((row, rowIndex) => {
             if (row && row.c && Array.isArray(row.c)) {
                 const rowData = {};
                 
@@ -83,6 +163,7 @@ function parseSheetData(table) {
                 // Only add row if it has data
                 if (Object.values(rowData).some(val => val && val.trim() !== '')) {
                     rows.push(rowData);
+                    rowNumbers.push(rowIndex + 2);
                 }
             }
         });
@@ -90,109 +171,397 @@ function parseSheetData(table) {
     
     return {
         columns: columns.length > 0 ? columns : [],
-        rows: rows
+        rows: rows,
+        rowNumbers: rowNumbers
+    };
+}
+
+// Month names (and abbreviations) accepted in event dates
+const MONTH_NUMBERS = {
+    jan: 1, january: 1, feb: 2, february: 2, mar: 3, march: 3, apr: 4, april: 4,
+    may: 5, jun: 6, june: 6, jul: 7, july: 7, aug: 8, august: 8,
+    sep: 9, sept: 9, september: 9, oct: 10, october: 10, nov: 11, november: 11,
+    dec: 12, december: 12
+};
+const MONTH_PATTERN = '\\b(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sept?(?:ember)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)\\.?';
+
+// "11/29", "1/17-1/19", "1/17-19", "11/29/2025" (numeric, after an optional year prefix)
+const NUMERIC_DATE_REGEX = /^(\d{1,2})\/(\d{1,2})(?:\/(\d{2}|\d{4}))?(?:\s*-\s*(\d{1,2})\/(\d{1,2})(?:\/(\d{2}|\d{4}))?|-(\d{1,2})(?![\w\/]))?/;
+
+// "Jan 17", "January 17, 2026" - optionally followed by a range end
+const MONTH_DAY_PATTERN = MONTH_PATTERN + '\\s+(\\d{1,2})(?!\\d)(?:st|nd|rd|th)?(?:,?\\s+(\\d{4}))?';
+const MONTH_DATE_START_REGEX = new RegExp(MONTH_DAY_PATTERN, 'i');
+
+// "Jan 17-19", "Dec 30 - Jan 2", "Jan 17 - 19, 2026"
+const MONTH_DATE_REGEX = new RegExp(
+    MONTH_DAY_PATTERN +
+    '(?:\\s*-\\s*' + MONTH_DAY_PATTERN +
+    '|\\s*-\\s*(\\d{1,2})(?:st|nd|rd|th)?(?:,?\\s+(\\d{4}))?(?!\\w))?',
+    'i'
+);
+
+// Signups dated more than this long after an event's month/day mean the event is next year
+const YEAR_INFERENCE_GRACE_DAYS = 60;
+
+/**
+ * Parses a signup timestamp cell
+ * Google Sheets JSON returns dates as "Date(2025,10,1,10,0,0)" (month is 0-based);
+ * plain "11/1/2025 10:00:00" strings are also accepted
+ * @returns {Date|null} Parsed timestamp or null if it can't be read
+ */
+function parseSheetTimestamp(value) {
+    if (!value) return null;
+    
+    const gvizMatch = String(value).match(/^Date\((\d{4}),(\d{1,2}),(\d{1,2})(?:,(\d{1,2}),(\d{1,2}),(\d{1,2}))?\)$/);
+    if (gvizMatch) {
+        return new Date(
+            Number(gvizMatch[1]), Number(gvizMatch[2]), Number(gvizMatch[3]),
+            Number(gvizMatch[4] || 0), Number(gvizMatch[5] || 0), Number(gvizMatch[6] || 0)
+        );
+    }
+    
+    const parsed = new Date(value);
+    return isNaN(parsed.getTime()) ? null : parsed;
+}
+
+/**
+ * Builds a YYYY-MM-DD string, or '' if the date doesn't exist (e.g. 2/30)
+ */
+function toIsoDate(year, month, day) {
+    const date = new Date(year, month - 1, day);
+    if (date.getFullYear() !== year || date.getMonth() !== month - 1 || date.getDate() !== day) {
+        return '';
+    }
+    return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * Normalizes a 2- or 4-digit year string to a number (or null)
+ */
+function normalizeYear(yearText) {
+    if (!yearText) return null;
+    const year = Number(yearText);
+    return yearText.length === 2 ? 2000 + year : year;
+}
+
+/**
+ * Picks the year for a month/day that has no year written down
+ * Uses the signup timestamp's year, moving to the next year when the date
+ * would otherwise fall well before the signup (signing up in December for January)
+ */
+function inferYear(month, day, timestamp) {
+    if (!timestamp) return null;
+    
+    const year = timestamp.getFullYear();
+    const candidate = new Date(year, month - 1, day);
+    const graceMs = YEAR_INFERENCE_GRACE_DAYS * 24 * 60 * 60 * 1000;
+    
+    return (timestamp - candidate > graceMs) ? year + 1 : year;
+}
+
+/**
+ * Resolves start/end month-day pairs into YYYY-MM-DD dates
+ * An end month earlier than the start month means the range crosses into the next year
+ * @returns {Object} { startDate, endDate } - both '' if the year can't be determined
+ */
+function resolveDateRange(start, end, yearHint, timestamp) {
+    const startYear = start.year || yearHint || inferYear(start.month, start.day, timestamp);
+    if (!startYear) {
+        return { startDate: '', endDate: '' };
+    }
+    
+    const startDate = toIsoDate(startYear, start.month, start.day);
+    if (!startDate || !end) {
+        return { startDate, endDate: startDate };
+    }
+    
+    let endYear = end.year || startYear;
+    if (!end.year && (end.month < start.month || (end.month === start.month && end.day < start.day))) {
+        endYear = startYear + 1;
+    }
+    
+    const endDate = toIsoDate(endYear, end.month, end.day);
+    
+    // Fall back to a single day if the end date is invalid or before the start
+    if (!endDate || endDate < startDate) {
+        return { startDate, endDate: startDate };
+    }
+    
+    return { startDate, endDate };
+}
+
+/**
+ * Parses the date (or date range) out of an event signup string
+ * Supported formats:
+ * - "2025 - 11/29 - Leaf Center Service Project"
+ * - "2025 - 1/17-1/19 - Winter Camp" / "2025 - 1/17-19 - Winter Camp"
+ * - "2025 - 12/30-1/2 - New Year Camp" (crosses into next year)
+ * - "Jan 17–19 - Winter Camp", "Dec 30 - Jan 2 - Camp", "Winter Camp (January 17, 2026)"
+ * - Any of the above without a year, which is inferred from the signup timestamp
+ * @param {string} text - Event string from the sheet
+ * @param {Date|null} timestamp - Signup timestamp used to infer a missing year
+ * @returns {Object} { eventName, startDate, endDate } - dates are '' if none was found
+ */
+function parseEventDate(text, timestamp) {
+    const original = String(text || '').trim();
+    
+    // Normalize en/em dashes so one regex handles all of them
+    // (single-character swap keeps indexes aligned with the original)
+    const normalized = original.replace(/[–—]/g, '-');
+    
+    // Optional leading year: "2025 - "
+    const yearPrefix = normalized.match(/^(\d{4})\s*-\s*/);
+    const yearHint = yearPrefix ? Number(yearPrefix[1]) : null;
+    const afterYear = yearPrefix ? yearPrefix[0].length : 0;
+    const rest = normalized.slice(afterYear);
+    
+    let start = null;
+    let end = null;
+    let matchStart = afterYear;
+    let matchEnd = afterYear;
+    
+    const numericMatch = rest.match(NUMERIC_DATE_REGEX);
+    const monthMatch = numericMatch ? null : rest.match(MONTH_DATE_REGEX);
+    
+    // A month-name date after a year prefix must come right after it
+    const useMonthMatch = monthMatch && (monthMatch.index === 0 || !yearPrefix);
+    
+    if (numericMatch) {
+        start = { month: Number(numericMatch[1]), day: Number(numericMatch[2]), year: normalizeYear(numericMatch[3]) };
+        if (numericMatch[4]) {
+            end = { month: Number(numericMatch[4]), day: Number(numericMatch[5]), year: normalizeYear(numericMatch[6]) };
+        } else if (numericMatch[7]) {
+            end = { month: start.month, day: Number(numericMatch[7]), year: start.year };
+        }
+        matchEnd = afterYear + numericMatch[0].length;
+    } else if (useMonthMatch) {
+        let matchText = monthMatch[0];
+        start = { month: MONTH_NUMBERS[monthMatch[1].toLowerCase()], day: Number(monthMatch[2]), year: normalizeYear(monthMatch[3]) };
+        if (monthMatch[4]) {
+            end = { month: MONTH_NUMBERS[monthMatch[4].toLowerCase()], day: Number(monthMatch[5]), year: normalizeYear(monthMatch[6]) };
+        } else if (monthMatch[7] && (/\d-\d/.test(matchText) || Number(monthMatch[7]) > start.day)) {
+            // "Jan 17-19" always counts; "Jan 17 - 2 Day Hike" only if the end day is later
+            end = { month: start.month, day: Number(monthMatch[7]), year: normalizeYear(monthMatch[8]) || start.year };
+        } else if (monthMatch[7]) {
+            // Trailing number isn't a range end - keep only the start date
+            matchText = matchText.match(MONTH_DATE_START_REGEX)[0];
+        }
+        matchStart = afterYear + monthMatch.index;
+        matchEnd = matchStart + matchText.length;
+    }
+    
+    if (!start) {
+        return { eventName: original, startDate: '', endDate: '' };
+    }
+    
+    const { startDate, endDate } = resolveDateRange(start, end, yearHint, timestamp);
+    
+    // Remove the date (and its separators) from the event name
+    let eventName;
+    if (matchStart === afterYear) {
+        eventName = original.slice(matchEnd).replace(/^\s*[-:,]?\s*/, '');
+    } else {
+        const before = original.slice(afterYear, matchStart).replace(/[\s(\[,-]+$/, '');
+        const after = original.slice(matchEnd).replace(/^[\s)\],]+/, '');
+        eventName = `${before}${before && after ? ' ' : ''}${after}`.trim();
+    }
+    
+    return {
+        eventName: eventName.trim() || original,
+        startDate: startDate,
+        endDate: endDate
+    };
+}
+
+// "2 pm - 4 pm", "9:30am-noon", "2-4 pm", "14:00 - 16:00"
+const CLOCK_PATTERN = '(noon|\\d{1,2}(?::\\d{2})?\\s*(?:[ap]\\.?\\s*m\\b\\.?)?)';
+const TIME_RANGE_REGEX = new RegExp('(?:^|[\\s(])' + CLOCK_PATTERN + '\\s*(?:-|–|—|to)\\s*' + CLOCK_PATTERN + '(?=$|[\\s),.;])', 'i');
+
+/**
+ * Reads one side of a time range
+ * @returns {Object|null} { minutes, meridiem } where meridiem is 'am', 'pm' or '' (24-hour / unknown)
+ */
+function parseClock(text) {
+    const value = text.trim().toLowerCase();
+    if (value === 'noon') {
+        return { minutes: 12 * 60, meridiem: 'pm', hasColon: true };
+    }
+    
+    const match = value.match(/^(\d{1,2})(?::(\d{2}))?\s*(?:([ap])\.?\s*m\.?)?$/);
+    if (!match) return null;
+    
+    const hour = Number(match[1]);
+    const minute = Number(match[2] || 0);
+    const meridiem = match[3] ? `${match[3]}m` : '';
+    if (minute > 59 || hour > 23 || (meridiem && (hour < 1 || hour > 12))) return null;
+    
+    return { minutes: hour * 60 + minute, meridiem: meridiem, hasColon: match[2] !== undefined };
+}
+
+/**
+ * Converts a parsed clock plus meridiem into minutes after midnight
+ */
+function toMinutesAfterMidnight(clock, meridiem) {
+    if (!meridiem) return clock.minutes;
+    
+    const hour = Math.floor(clock.minutes / 60) % 12;
+    const minute = clock.minutes % 60;
+    return (hour + (meridiem === 'pm' ? 12 : 0)) * 60 + minute;
+}
+
+/**
+ * Formats minutes after midnight as HH:MM
+ */
+function toTimeString(minutes) {
+    const hour = Math.floor(minutes / 60);
+    const minute = minutes % 60;
+    return `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
+}
+
+/**
+ * Parses a time window such as "(2 pm - 4 pm)" out of an event name
+ * A missing start meridiem is taken from the end ("2-4 pm"), unless that would
+ * put the start after the end ("11-2 pm" is 11 am - 2 pm)
+ * @param {string} text - Event name
+ * @returns {Object} { startTime, endTime, hoursPerDay } - HH:MM strings, all '' / null if none found
+ */
+function parseEventTimes(text) {
+    const none = { startTime: '', endTime: '', hoursPerDay: null };
+    const match = String(text || '').match(TIME_RANGE_REGEX);
+    if (!match) return none;
+    
+    const start = parseClock(match[1]);
+    const end = parseClock(match[2]);
+    if (!start || !end) return none;
+    
+    // Bare numbers ("3 - 5") are not times unless written as 24-hour clock ("14:00 - 16:00")
+    if (!end.meridiem && !(start.hasColon && end.hasColon && !start.meridiem)) return none;
+    
+    let endMinutes = toMinutesAfterMidnight(end, end.meridiem);
+    let startMinutes;
+    if (start.meridiem || !end.meridiem) {
+        startMinutes = toMinutesAfterMidnight(start, start.meridiem);
+    } else {
+        startMinutes = toMinutesAfterMidnight(start, end.meridiem);
+        if (startMinutes > endMinutes) {
+            startMinutes = toMinutesAfterMidnight(start, 'am');
+        }
+    }
+    
+    // Windows ending after midnight ("7 pm - 1 am")
+    let durationMinutes = endMinutes - startMinutes;
+    if (durationMinutes <= 0) {
+        durationMinutes += 24 * 60;
+    }
+    
+    return {
+        startTime: toTimeString(startMinutes),
+        endTime: toTimeString(endMinutes),
+        hoursPerDay: Math.round((durationMinutes / 60) * 100) / 100
     };
 }
 
+/**
+ * Reads the "Patrol Leader - Patrol?" answer
+ * Answers look like "Hawk", "Hawk Patrol", "Patrol Leader - Hawk" or "Adult"
+ * @param {string} value
+ * @returns {Object} { isAdult, patrol, isPatrolLeader } - patrol is title-cased, '' if none given
+ */
+function parsePatrol(value) {
+    const text = String(value || '').trim();
+    if (text.toLowerCase().includes('adult')) {
+        return { isAdult: true, patrol: '', isPatrolLeader: false };
+    }
+    
+    const leaderMatch = text.match(/^(patrol leader|pl)\b\s*[-–:,]?\s*/i);
+    const patrol = text
+        .slice(leaderMatch ? leaderMatch[0].length : 0)
+        .replace(/\s+patrol$/i, '')
+        .replace(/\s+/g, ' ')
+        .trim()
+        .toLowerCase()
+        .replace(/\b[a-z]/g, letter => letter.toUpperCase());
+    
+    return { isAdult: false, patrol: patrol, isPatrolLeader: !!leaderMatch };
+}
+
 /**
  * Extracts event information from a row
- * Matches the actual Google Sheet structure:
- * - Column B: "Which event did you signup for?" (Event name with date)
- * - Column C: "First Name"
- * - Column D: "Last Name"
- */
-function extractEventFromRow(row, columns) {
-    // Find event name column (Column B: "Which event did you signup for?")
-    const eventCol = columns.find(col => 
-        col.toLowerCase().includes('event') && 
-        col.toLowerCase().includes('signup')
-    ) || columns.find(col => 
-        col.toLowerCase().includes('event') || 
-        col.toLowerCase().includes('activity')
-    ) || columns[1] || 'Event'; // Fallback to column index 1 (B)
-    
-    // Find first name column (Column C)
-    const firstNameCol = columns.find(col => 
-        col.toLowerCase().includes('first') && 
-        col.toLowerCase().includes('name')
-    ) || columns[2] || 'First Name'; // Fallback to column index 2 (C)
-    
-    // Find last name column (Column D)
-    const lastNameCol = columns.find(col => 
-        col.toLowerCase().includes('last') && 
-        col.toLowerCase().includes('name')
-    ) || columns[3] || 'Last Name'; // Fallback to column index 3 (D)
-    
-    // Find patrol/adult column (Column G: "Patrol Leader - Patrol?")
-    const patrolCol = columns.find(col => 
-        col.toLowerCase().includes('patrol') || 
-        col.toLowerCase().includes('leader')
-    ) || columns[6] || 'Patrol Leader - Patrol?'; // Fallback to column index 6 (G)
+ * Columns come from the validated column mapping (see columnMapping.js):
+ * - event: "Which event did you signup for?" (Event name with date)
+ * - firstName / lastName: "First Name" / "Last Name"
+ * - patrol: "Patrol Leader - Patrol?" (the scout's patrol; "Adult" marks adult signups)
+ * - timestamp: "Timestamp" (used to infer a missing year)
+ * @param {Object} row - Row from parseSheetData
+ * @param {Object} fieldColumns - Field name -> sheet column name
+ * @param {Object} extraColumns - Extra field name -> sheet column name
+ */
+function extractEventFromRow(row, fieldColumns, extraColumns) {
+    const fields = fieldColumns || {};
+    const valueOf = (field) => (fields[field] && row[fields[field]]) || '';
     
     // Get values
-    const eventNameFull = row[eventCol] || '';
-    const firstName = row[firstNameCol] || '';
-    const lastName = row[lastNameCol] || '';
-    const patrolValue = row[patrolCol] || '';
+    const eventNameFull = valueOf('event');
+    const firstName = valueOf('firstName');
+    const lastName = valueOf('lastName');
+    const patrolValue = valueOf('patrol');
+    const timestamp = parseSheetTimestamp(valueOf('timestamp'));
+    
+    // Pass extra mapped fields through untouched
+    const extraFields = {};
+    Object.entries(extraColumns || {}).forEach(([field, column]) => {
+        extraFields[field] = row[column] || '';
+    });
     
     // Combine first and last name
     const scoutName = `${firstName} ${lastName}`.trim();
     
-    // Check if this is an adult (column G contains "Adult" or "adult")
-    const isAdult = patrolValue && String(patrolValue).toLowerCase().includes('adult');
+    // Check if this is an adult (patrol column contains "Adult" or "adult"), otherwise keep the patrol
+    const patrolInfo = parsePatrol(patrolValue);
     
-    // Parse event name and date from the event string
+    // Parse event name and date (or date range) from the event string
     // Format: "2025 - 11/29 - Leaf Center Service Project (2 pm - 4 pm)"
-    // or: "2025 - 12/13 - Patrick Zhang Eagle Project Day #3"
-    let eventName = eventNameFull.trim();
-    let startDate = '';
-    let endDate = '';
-    let category = '';
-    
-    // Extract date from event name (format: "2025 - 11/29" or "2025 - MM/DD")
-    const dateMatch = eventName.match(/(\d{4})\s*-\s*(\d{1,2})\/(\d{1,2})/);
-    if (dateMatch) {
-        const year = dateMatch[1];
-        const month = dateMatch[2].padStart(2, '0');
-        const day = dateMatch[3].padStart(2, '0');
-        startDate = `${year}-${month}-${day}`;
-        endDate = startDate; // Default to same day if no end date specified
-        
-        // Try to extract end date from time range like "(2 pm - 4 pm)"
-        // For now, assume single day events unless specified otherwise
-    }
-    
-    // Clean event name (remove date prefix)
-    eventName = eventName.replace(/^\d{4}\s*-\s*\d{1,2}\/\d{1,2}\s*-\s*/, '').trim();
-    
-    // Extract category from event name patterns
-    if (eventName.toLowerCase().includes('eagle project')) {
-        category = 'Eagle Project';
-    } else if (eventName.toLowerCase().includes('service project')) {
-        category = 'Service Project';
-    } else if (eventName.toLowerCase().includes('fundraiser')) {
-        category = 'Fundraiser';
-    } else if (eventName.toLowerCase().includes('camp')) {
-        category = 'Camping';
-    } else {
-        category = 'Other';
-    }
+    // or: "2025 - 1/17-1/19 - Winter Camp" or "Jan 17–19 - Winter Camp"
+    const parsedDate = parseEventDate(eventNameFull, timestamp);
+    const eventName = parsedDate.eventName;
+    const startDate = parsedDate.startDate;
+    const endDate = parsedDate.endDate;
     
+    // Parse the time window, e.g. "(2 pm - 4 pm)"
+    // Multi-day events are assumed to use the same window every day
+    const times = parseEventTimes(eventName);
+    const durationHours = times.hoursPerDay !== null && startDate
+        ? Math.round(times.hoursPerDay * window.HistoryManager.getEventDays(startDate, endDate) * 100) / 100
+        : null;
+        
+    // Tags come from the category rules once events are built (CategoryRules.tagEvents)
     return {
         scoutName: scoutName,
         eventName: eventName,
         startDate: startDate,
         endDate: endDate,
-        category: category,
-        isAdult: isAdult,
+        startTime: times.startTime,
+        endTime: times.endTime,
+        durationHours: durationHours,
+        isAdult: patrolInfo.isAdult,
+        patrol: patrolInfo.patrol,
+        isPatrolLeader: patrolInfo.isPatrolLeader,
+        extraFields: extraFields,
         rawRow: row
     };
 }
 
 // Export API
 window.GoogleSheet = {
+    SHEET_SOURCES,
+    EVENT_CATEGORIES,
     loadFutureEvents,
+    getSheets,
     parseSheetData,
+    parseSheetTimestamp,
+    parseEventDate,
+    parseEventTimes,
+    parsePatrol,
     extractEventFromRow
 };
 
@@ -4,6 +4,24 @@
  * No database needed - works purely from Google Sheets data
  */
 
+// Single-date events with this tag (set by hand or by a category rule) count as one night
+const OVERNIGHT_TAG = 'Overnight';
+
+/**
+ * Parses a YYYY-MM-DD date as local midnight
+ * new Date('YYYY-MM-DD') parses as UTC, which lands on the previous day
+ * in US timezones and shifts the past/future split by one day
+ * @param {string} dateString - Date (YYYY-MM-DD format, other formats fall back to Date parsing)
+ * @returns {Date} - parsed date (may be an Invalid Date)
+ */
+function parseLocalDate(dateString) {
+    const match = String(dateString || '').match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    if (match) {
+        return new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+    }
+    return new Date(dateString);
+}
+
 /**
  * Checks if an event date has passed (is in the past)
  * @param {string} endDate - Event end date (YYYY-MM-DD format)
@@ -13,7 +31,7 @@ function isEventPast(endDate) {
     if (!endDate) return false;
     
     try {
-        const eventDate = new Date(endDate);
+        const eventDate = parseLocalDate(endDate);
         const today = new Date();
         today.setHours(0, 0, 0, 0);
         
@@ -24,7 +42,63 @@ function isEventPast(endDate) {
     }
 }
 
+/**
+ * Calculates how many calendar days an event covers (inclusive)
+ * @param {string} startDate - Event start date (YYYY-MM-DD format)
+ * @param {string} endDate - Event end date (YYYY-MM-DD format)
+ * @returns {number} - number of days, or 0 if the dates are invalid
+ */
+function getEventDays(startDate, endDate) {
+    if (!startDate) return 0;
+    
+    const start = parseLocalDate(startDate);
+    const end = parseLocalDate(endDate || startDate);
+    if (isNaN(start.getTime()) || isNaN(end.getTime())) return 0;
+    
+    // Round rather than ceil so daylight-saving shifts don't add a day
+    return Math.round((end - start) / (1000 * 60 * 60 * 24)) + 1;
+}
+
+/**
+ * Formats a Date as YYYY-MM-DD in local time
+ * @param {Date} [date] - Defaults to today
+ * @returns {string}
+ */
+function toLocalDateString(date) {
+    const value = date || new Date();
+    return `${value.getFullYear()}-${String(value.getMonth() + 1).padStart(2, '0')}-${String(value.getDate()).padStart(2, '0')}`;
+}
+
+/**
+ * Counts the nights an event covers (one fewer than its days)
+ * A single-date event is a day trip unless it is tagged Overnight, which counts as one night
+ * @param {Object} event - Event with startDate, endDate and tags
+ * @returns {number} - 0 if the dates are invalid
+ */
+function getEventNights(event) {
+    const days = event ? getEventDays(event.startDate, event.endDate) : 0;
+    if (days > 1) return days - 1;
+    return days === 1 && window.CategoryRules.hasTag(event, OVERNIGHT_TAG) ? 1 : 0;
+}
+
+/**
+ * Counts camping nights across events
+ * Only events tagged Camping count
+ * @param {Array} events - Events with startDate, endDate and tags
+ * @returns {number}
+ */
+function getCampingNights(events) {
+    return (events || [])
+        .filter(event => event && window.CategoryRules.hasTag(event, 'Camping'))
+        .reduce((nights, event) => nights + getEventNights(event), 0);
+}
+
 // Export API
 window.HistoryManager = {
-    isEventPast
+    parseLocalDate,
+    isEventPast,
+    getEventDays,
+    toLocalDateString,
+    getEventNights,
+    getCampingNights
 };
@@ -0,0 +1,207 @@
+/**
+ * iCalendar Module
+ * Builds .ics files from events so families can add them to their calendars
+ * Each event keeps the UID it was first exported with (remembered in localStorage), so
+ * re-importing a file updates the entries it added before instead of duplicating them;
+ * a rescheduled event keeps its UID the way it keeps its manual tags
+ * Timed events are written in UTC, converted from the sheet's local times with this
+ * device's time zone
+ */
+
+const ICS_PRODUCT_ID = '-//Troop 132//T132 Event Database//EN';
+const ICS_UID_DOMAIN = 't132-event-database';
+const CALENDAR_UIDS_STORAGE_KEY = 't132_calendar_uids';
+
+/**
+ * Escapes text for an iCalendar value
+ */
+function escapeIcsText(value) {
+    return String(value || '')
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Folds a content line at 75 octets, as the format requires
+ */
+function foldLine(line) {
+    const encoder = new TextEncoder();
+    const parts = [];
+    let current = '';
+    
+    Array.from(line).forEach(char => {
+        const limit = parts.length === 0 ? 75 : 74; // Continuation lines start with a space
+        if (encoder.encode(current + char).length > limit) {
+            parts.push(current);
+            current = '';
+        }
+        current += char;
+    });
+    parts.push(current);
+    
+    return parts.join('\r\n ');
+}
+
+/**
+ * Formats a YYYY-MM-DD date as YYYYMMDD, optionally moved by some days
+ */
+function toIcsDate(dateString, addDays) {
+    const date = window.HistoryManager.parseLocalDate(dateString);
+    date.setDate(date.getDate() + (addDays || 0));
+    return window.HistoryManager.toLocalDateString(date).replace(/-/g, '');
+}
+
+/**
+ * Formats a UTC timestamp for DTSTAMP, e.g. 20251101T150000Z
+ */
+function toIcsTimestamp(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Formats a local YYYY-MM-DD date and HH:MM time as a UTC date-time, optionally moved by some days
+ */
+function toIcsDateTime(dateString, time, addDays) {
+    const date = window.HistoryManager.parseLocalDate(dateString);
+    const [hours, minutes] = time.split(':').map(Number);
+    date.setDate(date.getDate() + (addDays || 0));
+    date.setHours(hours, minutes, 0, 0);
+    return toIcsTimestamp(date);
+}
+
+/**
+ * Short hash of a string (32-bit FNV-1a, base 36)
+ */
+function hashText(text) {
+    let hash = 0x811c9dc5;
+    Array.from(String(text)).forEach(char => {
+        hash = Math.imul(hash ^ char.codePointAt(0), 0x01000193) >>> 0;
+    });
+    return hash.toString(36);
+}
+
+/**
+ * Builds a new UID from the event alone: a readable slug of its name plus a hash of
+ * its id (name and dates), so names that slug alike ("Camp!", "Camp?") still differ
+ */
+function createUid(event) {
+    const slug = String(event.eventName || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'event';
+    return `${slug}-${hashText(event.id)}@${ICS_UID_DOMAIN}`;
+}
+
+/**
+ * Loads the UIDs handed out by earlier exports
+ * @returns {Object} event id -> UID
+ */
+function loadUidTable() {
+    try {
+        const parsed = JSON.parse(localStorage.getItem(CALENDAR_UIDS_STORAGE_KEY) || '{}');
+        return parsed && typeof parsed === 'object' ? parsed : {};
+    } catch (e) {
+        console.warn('Ignoring unreadable calendar UIDs:', e);
+        return {};
+    }
+}
+
+/**
+ * Picks each exported event's UID: the one it was exported with before (following a
+ * rescheduled event by name), otherwise a new one, and remembers them for next time
+ * @param {Array} events - Events being exported
+ * @param {Array} allEvents - Every troop event
+ * @returns {Map} event id -> UID
+ */
+function assignUids(events, allEvents) {
+    const stored = loadUidTable();
+    const matches = window.CategoryRules.matchEventIds(stored, allEvents);
+    const uids = new Map();
+    
+    // A rescheduled event's UID moves to its new id
+    const table = { ...stored };
+    matches.forEach((storedId, eventId) => {
+        if (storedId === eventId) return;
+        table[eventId] = stored[storedId];
+        delete table[storedId];
+    });
+    events.forEach(event => {
+        if (!table[event.id]) table[event.id] = createUid(event);
+        uids.set(event.id, table[event.id]);
+    });
+    
+    localStorage.setItem(CALENDAR_UIDS_STORAGE_KEY, JSON.stringify(table));
+    return uids;
+}
+
+/**
+ * Builds the VEVENT lines for one event
+ * Events with a time window are timed; the rest are all-day
+ */
+function buildEventLines(event, stamp, uid) {
+    const scoutCount = (event.scouts || []).length;
+    const adultCount = (event.adults || []).length;
+    const endDate = event.endDate || event.startDate;
+    
+    const lines = [
+        'BEGIN:VEVENT',
+        `UID:${uid}`,
+        `DTSTAMP:${stamp}`
+    ];
+    
+    if (event.startTime && event.endTime) {
+        // A window ending at or before its start time runs past midnight ("7 pm - 1 am")
+        const overnight = event.endTime <= event.startTime;
+        lines.push(`DTSTART:${toIcsDateTime(event.startDate, event.startTime)}`);
+        lines.push(`DTEND:${toIcsDateTime(endDate, event.endTime, overnight ? 1 : 0)}`);
+    } else {
+        // All-day end dates are exclusive
+        lines.push(`DTSTART;VALUE=DATE:${toIcsDate(event.startDate)}`);
+        lines.push(`DTEND;VALUE=DATE:${toIcsDate(endDate, 1)}`);
+    }
+    
+    lines.push(`SUMMARY:${escapeIcsText(event.eventName)}`);
+    const tags = window.CategoryRules.getEventTags(event);
+    if (tags.length > 0) {
+        lines.push(`CATEGORIES:${tags.map(escapeIcsText).join(',')}`);
+    }
+    lines.push(`DESCRIPTION:${escapeIcsText(
+        `${tags.join(', ') || 'Event'} - ${scoutCount} scout(s) and ${adultCount} adult(s) signed up`
+    )}`);
+    lines.push('END:VEVENT');
+    
+    return lines;
+}
+
+/**
+ * Builds an .ics calendar
+ * @param {Array} events - Events with id, eventName, startDate and optional endDate/times
+ * @param {string} calendarName - Shown by calendar apps, e.g. "Troop 132 Events"
+ * @param {Array} [allEvents] - Every troop event, so a rescheduled event is told apart from
+ *   the troop's other events of the same name (defaults to events)
+ * @returns {string}
+ */
+function buildCalendar(events, calendarName, allEvents) {
+    const stamp = toIcsTimestamp(new Date());
+    const exported = (events || []).filter(event => event && event.id && event.startDate);
+    const uids = assignUids(exported, (allEvents || exported).filter(event => event && event.id));
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${ICS_PRODUCT_ID}`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeIcsText(calendarName)}`
+    ];
+    
+    exported.forEach(event => {
+        lines.push(...buildEventLines(event, stamp, uids.get(event.id)));
+    });
+    
+    lines.push('END:VCALENDAR');
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+// Export API
+window.ICalendar = {
+    buildCalendar
+};
@@ -0,0 +1,87 @@
+/**
+ * Offline Cache Module
+ * Keeps the last successfully loaded sheet data in IndexedDB so the app can
+ * render right away on startup (and with no signal) while a fresh fetch runs
+ */
+
+const CACHE_DB_NAME = 't132_offline_cache';
+const CACHE_DB_VERSION = 1;
+const CACHE_STORE_NAME = 'sheetData';
+const CACHE_RECORD_KEY = 'latest';
+
+/**
+ * Opens (and on first use creates) the cache database
+ * @returns {Promise<IDBDatabase|null>} null if IndexedDB isn't available
+ */
+function openCacheDatabase() {
+    return new Promise((resolve) => {
+        if (typeof indexedDB === 'undefined') {
+            resolve(null);
+            return;
+        }
+        
+        const request = indexedDB.open(CACHE_DB_NAME, CACHE_DB_VERSION);
+        request.onupgradeneeded = () => {
+            request.result.createObjectStore(CACHE_STORE_NAME);
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+            console.warn('Offline cache unavailable:', request.error);
+            resolve(null);
+        };
+    });
+}
+
+/**
+ * Saves the latest sheet data
+ * Failures are logged only - the cache is a convenience, never a reason to fail a load
+ * @param {Object} sheetData - Result of GoogleSheet.loadFutureEvents
+ * @returns {Promise<void>}
+ */
+async function saveCachedData(sheetData) {
+    const db = await openCacheDatabase();
+    if (!db) return;
+    
+    await new Promise((resolve) => {
+        const transaction = db.transaction(CACHE_STORE_NAME, 'readwrite');
+        transaction.objectStore(CACHE_STORE_NAME).put({
+            savedAt: new Date().toISOString(),
+            sheetData: sheetData
+        }, CACHE_RECORD_KEY);
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => {
+            console.warn('Could not save offline cache:', transaction.error);
+            resolve();
+        };
+    });
+    db.close();
+}
+
+/**
+ * Loads the last saved sheet data
+ * @returns {Promise<Object|null>} { savedAt, sheetData } or null if nothing is cached
+ */
+async function loadCachedData() {
+    const db = await openCacheDatabase();
+    if (!db) return null;
+    
+    const record = await new Promise((resolve) => {
+        const request = db.transaction(CACHE_STORE_NAME, 'readonly')
+            .objectStore(CACHE_STORE_NAME)
+            .get(CACHE_RECORD_KEY);
+        request.onsuccess = () => resolve(request.result || null);
+        request.onerror = () => {
+            console.warn('Could not read offline cache:', request.error);
+            resolve(null);
+        };
+    });
+    db.close();
+    
+    return record && record.sheetData ? record : null;
+}
+
+// Export API
+window.OfflineCache = {
+    saveCachedData,
+    loadCachedData
+};
@@ -1,53 +1,403 @@
 /**
  * Password Protection Module
  * Protects the site with a password before allowing access
+ *
+ * Passwords are never shipped: each credential stores a random salt and the SHA-256
+ * of its PBKDF2 key. The session keeps the PBKDF2 key itself, so a session can't be
+ * forged without knowing the password. To add or change a password, run
+ * PasswordProtection.createCredential('id', 'new password', role, scouts) in the
+ * browser console and paste the result into CREDENTIALS.
+ *
+ * Each credential has a role: 'leader' (everything) or 'parent' (only the scouts
+ * listed in its scouts array, e.g. ['Bob Smith', 'Amy Smith']). See access.js.
  */
 
-const CORRECT_PASSWORD = 'Security4987!';
-const AUTH_STORAGE_KEY = 't132_authenticated';
+const CREDENTIALS = [
+    {
+        id: 'troop',
+        role: 'leader',
+        salt: '65f9bafaea882d47546594a6ddec7e61',
+        iterations: 600000,
+        verifier: 'b1de19cf838a1de4249aa95ca0ad73ac25f2e994c63bae459167ae2105f50f54'
+    }
+];
+
+// Session settings - change these to shorten or lengthen sign-ins
+const AUTH_SETTINGS = {
+    sessionHours: 7 * 24,   // Sign in again after this long, however active
+    idleMinutes: 60         // Sign out after this long with no activity
+};
+
+// Failed attempts before lockout, then the lockout doubles each time up to the maximum
+const FREE_LOGIN_ATTEMPTS = 3;
+const BASE_LOCKOUT_MS = 30 * 1000;
+const MAX_LOCKOUT_MS = 60 * 60 * 1000;
+
+const SESSION_STORAGE_KEY = 't132_session';
+const LOCKOUT_STORAGE_KEY = 't132_login_lockout';
+const LOGOUT_REASON_KEY = 't132_logout_reason';
+const LEGACY_AUTH_STORAGE_KEY = 't132_authenticated';
+
+// The failed-attempt record is kept in IndexedDB too, so clearing localStorage alone doesn't reset it
+const LOCKOUT_DB_NAME = 't132_login_guard';
+const LOCKOUT_STORE_NAME = 'lockout';
+const LOCKOUT_RECORD_KEY = 'attempts';
+
+// Troop data kept on the device, removed at sign-out so the next person on a shared device can't read it
+// (settings with no names in them, like the inactivity window, are kept)
+const DEVICE_DATA_STORAGE_KEYS = ['t132_name_aliases', 't132_category_rules', 't132_calendar_uids'];
+const DEVICE_DATA_DATABASES = ['t132_offline_cache', 't132_change_log'];
+
+let idleCheckInterval = null;
+let lastActivityWrite = 0;
+let verifiedAccount = null; // Set once the session's key has been checked against its credential
+let loggingOut = false;
+
+/**
+ * Converts bytes to a hex string
+ */
+function toHex(buffer) {
+    return Array.from(new Uint8Array(buffer))
+        .map(byte => byte.toString(16).padStart(2, '0'))
+        .join('');
+}
+    
+/**
+ * Converts a hex string to bytes
+ */
+function fromHex(hex) {
+    const bytes = new Uint8Array(hex.length / 2);
+    for (let i = 0; i < bytes.length; i++) {
+        bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+    }
+    return bytes;
+}
+
+/**
+ * Derives the PBKDF2-SHA256 key for a password (hex)
+ */
+async function deriveKey(password, saltHex, iterations) {
+    const baseKey = await crypto.subtle.importKey(
+        'raw',
+        new TextEncoder().encode(password),
+        'PBKDF2',
+        false,
+        ['deriveBits']
+    );
+    const bits = await crypto.subtle.deriveBits(
+        { name: 'PBKDF2', hash: 'SHA-256', salt: fromHex(saltHex), iterations: iterations },
+        baseKey,
+        256
+    );
+    return toHex(bits);
+}
+
+/**
+ * Hashes a derived key into the verifier stored with a credential
+ */
+async function getVerifier(keyHex) {
+    return toHex(await crypto.subtle.digest('SHA-256', fromHex(keyHex)));
+}
+
+/**
+ * Builds a credential entry for CREDENTIALS from a password
+ * @param {string} id - Account name, e.g. 'smith-family'
+ * @param {string} password
+ * @param {string} [role] - 'leader' (default) or 'parent'
+ * @param {Array<string>} [scouts] - Scouts a parent account can see
+ * @returns {Promise<Object>} { id, role, scouts, salt, iterations, verifier }
+ */
+async function createCredential(id, password, role, scouts) {
+    const salt = toHex(crypto.getRandomValues(new Uint8Array(16)));
+    const iterations = 600000;
+    const key = await deriveKey(password, salt, iterations);
+    
+    const credential = { id: id, role: role || 'leader' };
+    if (credential.role === 'parent') {
+        credential.scouts = scouts || [];
+    }
+    return { ...credential, salt: salt, iterations: iterations, verifier: await getVerifier(key) };
+}
+
+/**
+ * Checks a password against every credential
+ * @returns {Promise<Object|null>} { credentialId, key } for the matching credential, or null
+ */
+async function checkPassword(password) {
+    for (const credential of CREDENTIALS) {
+        const key = await deriveKey(password, credential.salt, credential.iterations);
+        if (await getVerifier(key) === credential.verifier) {
+            return { credentialId: credential.id, key: key };
+        }
+    }
+    return null;
+}
+
+/**
+ * Reads the stored session, or null if there is none
+ */
+function loadSession() {
+    try {
+        return JSON.parse(localStorage.getItem(SESSION_STORAGE_KEY)) || null;
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * The account a credential signs in as
+ */
+function toAccount(credential) {
+    return {
+        id: credential.id,
+        role: credential.role || 'leader',
+        scouts: [...(credential.scouts || [])]
+    };
+}
+
+/**
+ * The signed-in account
+ * Comes from the credential whose key isAuthenticated or a sign-in checked, never from the
+ * stored session alone (editing credentialId in localStorage doesn't change the account)
+ * @returns {Object|null} { id, role, scouts } or null if nobody is signed in
+ */
+function getCurrentAccount() {
+    return verifiedAccount ? { ...verifiedAccount, scouts: [...verifiedAccount.scouts] } : null;
+}
 
 /**
  * Check if user is already authenticated
+ * The session must be unexpired, recently active and hold the key for a known credential
+ * @returns {Promise<boolean>}
  */
-function isAuthenticated() {
-    const authData = localStorage.getItem(AUTH_STORAGE_KEY);
-    if (!authData) return false;
+async function isAuthenticated() {
+    verifiedAccount = null;
+    const session = loadSession();
+    if (!session) return false;
+    
+    const now = Date.now();
+    if (now > (session.expires || 0) || now - (session.lastActive || 0) > AUTH_SETTINGS.idleMinutes * 60 * 1000) {
+        endSession();
+        return false;
+    }
     
+    const credential = CREDENTIALS.find(item => item.id === session.credentialId);
     try {
-        const parsed = JSON.parse(authData);
-        // Check if authentication is still valid (expires after 7 days)
-        const expirationTime = parsed.expires || 0;
-        if (Date.now() > expirationTime) {
-            localStorage.removeItem(AUTH_STORAGE_KEY);
+        if (!credential || await getVerifier(session.key) !== credential.verifier) {
+            endSession();
             return false;
         }
-        return parsed.authenticated === true;
     } catch (e) {
+        endSession();
         return false;
     }
+    
+    verifiedAccount = toAccount(credential);
+    return true;
+}
+
+/**
+ * Starts a session after a successful sign-in
+ */
+function startSession(match) {
+    const now = Date.now();
+    verifiedAccount = toAccount(CREDENTIALS.find(item => item.id === match.credentialId));
+    localStorage.setItem(SESSION_STORAGE_KEY, JSON.stringify({
+        credentialId: match.credentialId,
+        key: match.key,
+        expires: now + AUTH_SETTINGS.sessionHours * 60 * 60 * 1000,
+        lastActive: now
+    }));
+    localStorage.removeItem(LEGACY_AUTH_STORAGE_KEY);
+}
+
+/**
+ * Ends the session
+ */
+function endSession() {
+    localStorage.removeItem(SESSION_STORAGE_KEY);
+    localStorage.removeItem(LEGACY_AUTH_STORAGE_KEY);
 }
 
 /**
- * Set authentication status
+ * Removes the troop data kept on this device: names in localStorage and the
+ * offline cache and change log databases
+ * @returns {Promise<void>}
  */
-function setAuthenticated(authenticated) {
-    if (authenticated) {
-        // Store authentication for 7 days
-        const expirationTime = Date.now() + (7 * 24 * 60 * 60 * 1000);
-        localStorage.setItem(AUTH_STORAGE_KEY, JSON.stringify({
-            authenticated: true,
-            expires: expirationTime
-        }));
-    } else {
-        localStorage.removeItem(AUTH_STORAGE_KEY);
+async function clearDeviceData() {
+    DEVICE_DATA_STORAGE_KEYS.forEach(key => localStorage.removeItem(key));
+    if (typeof indexedDB === 'undefined') return;
+    
+    await Promise.all(DEVICE_DATA_DATABASES.map(name => new Promise((resolve) => {
+        const request = indexedDB.deleteDatabase(name);
+        request.onsuccess = () => resolve();
+        request.onerror = () => {
+            console.warn(`Could not delete ${name}:`, request.error);
+            resolve();
+        };
+        // Another open tab delays the delete until it closes (it signs out too); don't wait for it
+        request.onblocked = () => resolve();
+    })));
+}
+
+/**
+ * Signs out, removes the troop data kept on this device and reloads, so no data stays in memory
+ * @param {string} [reason] - Shown on the password screen after reloading
+ */
+function logout(reason) {
+    if (loggingOut) return;
+    loggingOut = true;
+    
+    endSession();
+    verifiedAccount = null;
+    if (reason) {
+        sessionStorage.setItem(LOGOUT_REASON_KEY, reason);
     }
+    clearDeviceData()
+        .catch(error => console.warn('Could not clear device data:', error))
+        .then(() => window.location.reload());
+}
+
+/**
+ * Records activity for the idle timeout (written at most every 30 seconds)
+ */
+function recordActivity() {
+    const now = Date.now();
+    if (now - lastActivityWrite < 30000) return;
+    
+    const session = loadSession();
+    if (!session) return;
+    
+    lastActivityWrite = now;
+    session.lastActive = now;
+    localStorage.setItem(SESSION_STORAGE_KEY, JSON.stringify(session));
+}
+
+/**
+ * Watches for activity and signs out once the session expires or goes idle
+ * Activity in any open tab keeps the session alive
+ */
+function startIdleWatch() {
+    ['click', 'keydown', 'mousemove', 'scroll', 'touchstart'].forEach(eventName => {
+        document.addEventListener(eventName, recordActivity, { passive: true });
+    });
+    
+    if (idleCheckInterval) clearInterval(idleCheckInterval);
+    idleCheckInterval = setInterval(() => {
+        const session = loadSession();
+        if (!session || !verifiedAccount || session.credentialId !== verifiedAccount.id) {
+            logout();
+        } else if (Date.now() > session.expires) {
+            logout('Your session expired. Please sign in again.');
+        } else if (Date.now() - session.lastActive > AUTH_SETTINGS.idleMinutes * 60 * 1000) {
+            logout(`Signed out after ${AUTH_SETTINGS.idleMinutes} minutes of inactivity.`);
+        }
+    }, 30000);
+}
+
+/**
+ * Runs one request against the lockout database
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} makeRequest - Given the object store, returns an IDBRequest
+ * @returns {Promise<*>} The request's result, or null if IndexedDB isn't available
+ */
+function withLockoutStore(mode, makeRequest) {
+    return new Promise((resolve) => {
+        if (typeof indexedDB === 'undefined') {
+            resolve(null);
+            return;
+        }
+        
+        const open = indexedDB.open(LOCKOUT_DB_NAME, 1);
+        open.onupgradeneeded = () => {
+            open.result.createObjectStore(LOCKOUT_STORE_NAME);
+        };
+        open.onsuccess = () => {
+            const db = open.result;
+            const request = makeRequest(db.transaction(LOCKOUT_STORE_NAME, mode).objectStore(LOCKOUT_STORE_NAME));
+            request.onsuccess = () => {
+                db.close();
+                resolve(request.result || null);
+            };
+            request.onerror = () => {
+                db.close();
+                resolve(null);
+            };
+        };
+        open.onerror = () => resolve(null);
+    });
+}
+
+/**
+ * Reads the failed-attempt record, taking the stricter of the localStorage and IndexedDB copies
+ * Clearing all site data still resets it: the lockout only slows guessing in this page, while
+ * the PBKDF2 cost is what slows guessing against a copied verifier
+ * @returns {Promise<Object>} { failures, lockedUntil }
+ */
+async function loadLockout() {
+    let local = null;
+    try {
+        local = JSON.parse(localStorage.getItem(LOCKOUT_STORAGE_KEY));
+    } catch (e) {
+        local = null;
+    }
+    const stored = await withLockoutStore('readonly', store => store.get(LOCKOUT_RECORD_KEY));
+    
+    return {
+        failures: Math.max((local && local.failures) || 0, (stored && stored.failures) || 0),
+        lockedUntil: Math.max((local && local.lockedUntil) || 0, (stored && stored.lockedUntil) || 0)
+    };
+}
+
+/**
+ * Saves the failed-attempt record to both stores
+ */
+async function saveLockout(lockout) {
+    localStorage.setItem(LOCKOUT_STORAGE_KEY, JSON.stringify(lockout));
+    await withLockoutStore('readwrite', store => store.put(lockout, LOCKOUT_RECORD_KEY));
 }
 
 /**
- * Check password and authenticate
+ * Forgets failed attempts after a successful sign-in
  */
-function checkPassword(password) {
-    return password === CORRECT_PASSWORD;
+async function clearLockout() {
+    localStorage.removeItem(LOCKOUT_STORAGE_KEY);
+    await withLockoutStore('readwrite', store => store.delete(LOCKOUT_RECORD_KEY));
+}
+
+/**
+ * Records a failed attempt; past the free attempts each failure doubles the lockout
+ * @returns {Promise<Object>} { failures, lockedUntil }
+ */
+async function recordFailedAttempt() {
+    const lockout = await loadLockout();
+    lockout.failures++;
+    
+    if (lockout.failures >= FREE_LOGIN_ATTEMPTS) {
+        const delay = Math.min(BASE_LOCKOUT_MS * Math.pow(2, lockout.failures - FREE_LOGIN_ATTEMPTS), MAX_LOCKOUT_MS);
+        lockout.lockedUntil = Date.now() + delay;
+    }
+    
+    await saveLockout(lockout);
+    return lockout;
+}
+
+/**
+ * Milliseconds until another attempt is allowed (0 if not locked out)
+ * @returns {Promise<number>}
+ */
+async function getLockoutRemaining() {
+    return Math.max(0, (await loadLockout()).lockedUntil - Date.now());
+}
+
+/**
+ * Describes a wait, e.g. "45 seconds" or "4 minutes"
+ */
+function formatWait(ms) {
+    const seconds = Math.ceil(ms / 1000);
+    if (seconds < 60) return `${seconds} second${seconds === 1 ? '' : 's'}`;
+    const minutes = Math.ceil(seconds / 60);
+    return `${minutes} minute${minutes === 1 ? '' : 's'}`;
 }
 
 /**
@@ -80,34 +430,75 @@ function hidePasswordScreen() {
     }
 }
 
+/**
+ * Shows a message under the password input
+ */
+function showPasswordMessage(message) {
+    const passwordError = document.getElementById('passwordError');
+    if (!passwordError) return;
+    
+    passwordError.textContent = message;
+    passwordError.classList.toggle('hidden', !message);
+}
+
 /**
  * Initialize password protection
+ * @returns {Promise<boolean>} true if a valid session already exists
  */
-function initPasswordProtection() {
+async function initPasswordProtection() {
     // Check if already authenticated
-    if (isAuthenticated()) {
+    if (await isAuthenticated()) {
         hidePasswordScreen();
+        startIdleWatch();
         return true;
     }
     
     // Show password screen
     showPasswordScreen();
     
+    // Explain why the user was signed out, if they were
+    const logoutReason = sessionStorage.getItem(LOGOUT_REASON_KEY);
+    if (logoutReason) {
+        sessionStorage.removeItem(LOGOUT_REASON_KEY);
+        showPasswordMessage(logoutReason);
+    }
+    
     // Set up password form handler
     const passwordForm = document.getElementById('passwordForm');
     const passwordInput = document.getElementById('passwordInput');
-    const passwordError = document.getElementById('passwordError');
+    const passwordSubmit = passwordForm ? passwordForm.querySelector('button[type="submit"]') : null;
     
     if (passwordForm) {
-        passwordForm.addEventListener('submit', function(e) {
+        passwordForm.addEventListener('submit', async function(e) {
             e.preventDefault();
             
+            const remaining = await getLockoutRemaining();
+            if (remaining > 0) {
+                showPasswordMessage(`Too many incorrect attempts. Try again in ${formatWait(remaining)}.`);
+                return;
+            }
+            
             const enteredPassword = passwordInput ? passwordInput.value : '';
+            if (passwordSubmit) passwordSubmit.disabled = true;
+            
+            let match = null;
+            try {
+                match = await checkPassword(enteredPassword);
+            } catch (error) {
+                console.error('Error checking password:', error);
+                showPasswordMessage('This browser cannot check the password securely. Please use an up-to-date browser.');
+                if (passwordSubmit) passwordSubmit.disabled = false;
+                return;
+            }
             
-            if (checkPassword(enteredPassword)) {
+            if (passwordSubmit) passwordSubmit.disabled = false;
+            
+            if (match) {
                 // Correct password
-                setAuthenticated(true);
+                await clearLockout();
+                startSession(match);
                 hidePasswordScreen();
+                startIdleWatch();
                 
                 // Initialize the app
                 if (typeof initializeApp === 'function') {
@@ -120,15 +511,14 @@ function initPasswordProtection() {
                 }
                 
                 // Clear error message
-                if (passwordError) {
-                    passwordError.classList.add('hidden');
-                }
+                showPasswordMessage('');
             } else {
                 // Wrong password
-                if (passwordError) {
-                    passwordError.classList.remove('hidden');
-                    passwordError.textContent = 'Incorrect password. Please try again.';
-                }
+                const lockout = await recordFailedAttempt();
+                const lockedFor = lockout.lockedUntil - Date.now();
+                showPasswordMessage(lockedFor > 0
+                    ? `Incorrect password. Too many attempts - try again in ${formatWait(lockedFor)}.`
+                    : 'Incorrect password. Please try again.');
                 if (passwordInput) {
                     passwordInput.value = '';
                     passwordInput.focus();
@@ -147,9 +537,11 @@ function initPasswordProtection() {
 
 // Export functions
 window.PasswordProtection = {
+    AUTH_SETTINGS,
     initPasswordProtection,
     isAuthenticated,
-    setAuthenticated,
-    checkPassword
+    checkPassword,
+    createCredential,
+    getCurrentAccount,
+    logout
 };
-
@@ -0,0 +1,81 @@
+/**
+ * Patrols Module
+ * Works out each scout's current patrol and patrol-level attendance
+ * Each event keeps the patrol given on every scout's signup (event.patrols)
+ */
+
+/**
+ * Each scout's current patrol: the one given on their latest signup that named a patrol
+ * @param {Array} events - Future and past events
+ * @returns {Map} lowercased scout name -> patrol
+ */
+function getCurrentPatrols(events) {
+    const latest = new Map(); // name -> { patrol, startDate }
+    
+    (events || []).forEach(event => {
+        Object.entries(event.patrols || {}).forEach(([name, patrol]) => {
+            const key = String(name).toLowerCase().trim();
+            const previous = latest.get(key);
+            if (patrol && (!previous || String(event.startDate) >= previous.startDate)) {
+                latest.set(key, { patrol: patrol, startDate: String(event.startDate) });
+            }
+        });
+    });
+    
+    return new Map(Array.from(latest.entries()).map(([name, entry]) => [name, entry.patrol]));
+}
+
+/**
+ * Patrol names, sorted
+ * @param {Map} currentPatrols - From getCurrentPatrols
+ */
+function listPatrols(currentPatrols) {
+    return [...new Set(currentPatrols.values())].sort((a, b) => a.localeCompare(b));
+}
+
+/**
+ * Attendance per patrol
+ * Members are counted by current patrol; signups by the patrol given on each signup
+ * @param {Array} futureEvents
+ * @param {Array} pastEvents
+ * @param {Map} currentPatrols - From getCurrentPatrols
+ * @returns {Array} [{ patrol, members, pastSignups, upcomingSignups, eventsPerMember }] busiest first
+ */
+function summarizePatrols(futureEvents, pastEvents, currentPatrols) {
+    const summary = new Map();
+    const entryFor = patrol => {
+        if (!summary.has(patrol)) {
+            summary.set(patrol, { patrol: patrol, members: 0, pastSignups: 0, upcomingSignups: 0, eventsPerMember: 0 });
+        }
+        return summary.get(patrol);
+    };
+    
+    currentPatrols.forEach(patrol => {
+        entryFor(patrol).members++;
+    });
+    
+    const countSignups = (events, field) => {
+        (events || []).forEach(event => {
+            (event.scouts || []).forEach(name => {
+                const patrol = (event.patrols || {})[name] || currentPatrols.get(String(name).toLowerCase().trim());
+                if (patrol) entryFor(patrol)[field]++;
+            });
+        });
+    };
+    countSignups(pastEvents, 'pastSignups');
+    countSignups(futureEvents, 'upcomingSignups');
+    
+    return Array.from(summary.values())
+        .map(entry => ({
+            ...entry,
+            eventsPerMember: entry.members > 0 ? Math.round((entry.pastSignups / entry.members) * 10) / 10 : 0
+        }))
+        .sort((a, b) => b.pastSignups - a.pastSignups || a.patrol.localeCompare(b.patrol));
+}
+
+// Export API
+window.Patrols = {
+    getCurrentPatrols,
+    listPatrols,
+    summarizePatrols
+};
@@ -0,0 +1,185 @@
+/**
+ * Requirements Module
+ * Tracks scouts' progress toward rank and merit badge requirements
+ * Each requirement counts nights, hours or events across past events in some categories
+ * The requirement list is stored in localStorage so leaders can match their troop's program
+ */
+
+const REQUIREMENTS_STORAGE_KEY = 't132_rank_requirements';
+const REQUIREMENTS_VERSION = 1;
+
+const REQUIREMENT_UNITS = ['nights', 'hours', 'events'];
+
+// Starting list; service hours build up across ranks, so Life's target includes Star's
+const DEFAULT_REQUIREMENTS = [
+    { id: 'first-class-activities', name: 'First Class: Troop Activities', categories: [], unit: 'events', target: 10 },
+    { id: 'first-class-camping', name: 'First Class: Overnight Camping', categories: ['Camping'], unit: 'nights', target: 3 },
+    { id: 'camping-merit-badge', name: 'Camping Merit Badge', categories: ['Camping'], unit: 'nights', target: 20 },
+    { id: 'star-service', name: 'Star: Service Hours', categories: ['Service Project', 'Eagle Project'], unit: 'hours', target: 6 },
+    { id: 'life-service', name: 'Life: Service Hours (with Star)', categories: ['Service Project', 'Eagle Project'], unit: 'hours', target: 12 }
+];
+
+/**
+ * Checks a requirement and returns a cleaned copy
+ * @throws {Error} When the name, unit or target is missing or invalid
+ */
+function cleanRequirement(requirement) {
+    const name = String((requirement && requirement.name) || '').trim();
+    const unit = requirement && requirement.unit;
+    const target = Number(requirement && requirement.target);
+    
+    if (!name) {
+        throw new Error('A requirement needs a name');
+    }
+    if (!REQUIREMENT_UNITS.includes(unit)) {
+        throw new Error(`Unit must be one of: ${REQUIREMENT_UNITS.join(', ')}`);
+    }
+    if (!Number.isFinite(target) || target <= 0) {
+        throw new Error('Target must be a number above zero');
+    }
+    
+    return {
+        id: String(requirement.id || '') || `${name.toLowerCase().replace(/[^a-z0-9]+/g, '-')}-${Date.now()}`,
+        name: name,
+        categories: Array.isArray(requirement.categories)
+            ? requirement.categories.map(category => String(category).trim()).filter(Boolean)
+            : [],
+        unit: unit,
+        target: target
+    };
+}
+
+/**
+ * Loads the requirement list (the defaults until a leader changes it)
+ * @returns {Array} [{ id, name, categories, unit, target }] categories [] means every category
+ */
+function loadRequirements() {
+    const stored = localStorage.getItem(REQUIREMENTS_STORAGE_KEY);
+    if (!stored) return DEFAULT_REQUIREMENTS.map(requirement => ({ ...requirement }));
+    
+    try {
+        const parsed = JSON.parse(stored);
+        return (parsed && Array.isArray(parsed.requirements) ? parsed.requirements : [])
+            .map(requirement => {
+                try {
+                    return cleanRequirement(requirement);
+                } catch (e) {
+                    console.warn('Skipping invalid requirement:', requirement, e);
+                    return null;
+                }
+            })
+            .filter(Boolean);
+    } catch (e) {
+        console.warn('Ignoring unreadable requirement list:', e);
+        return DEFAULT_REQUIREMENTS.map(requirement => ({ ...requirement }));
+    }
+}
+
+/**
+ * Saves the requirement list to localStorage
+ */
+function saveRequirements(requirements) {
+    localStorage.setItem(REQUIREMENTS_STORAGE_KEY, JSON.stringify({
+        version: REQUIREMENTS_VERSION,
+        requirements: requirements
+    }));
+}
+
+/**
+ * Adds a requirement to the end of the list
+ * @throws {Error} When the requirement is invalid
+ */
+function addRequirement(requirement) {
+    const cleaned = cleanRequirement({ ...requirement, id: '' });
+    saveRequirements(loadRequirements().concat([cleaned]));
+    return cleaned;
+}
+
+/**
+ * Changes one requirement's fields
+ * @throws {Error} When the changed requirement is invalid
+ */
+function updateRequirement(id, changes) {
+    const requirements = loadRequirements();
+    const index = requirements.findIndex(requirement => requirement.id === id);
+    if (index === -1) {
+        throw new Error('Requirement not found');
+    }
+    
+    requirements[index] = cleanRequirement({ ...requirements[index], ...changes, id: id });
+    saveRequirements(requirements);
+}
+
+/**
+ * Removes a requirement
+ */
+function removeRequirement(id) {
+    saveRequirements(loadRequirements().filter(requirement => requirement.id !== id));
+}
+
+/**
+ * Goes back to the default requirement list
+ */
+function resetRequirements() {
+    localStorage.removeItem(REQUIREMENTS_STORAGE_KEY);
+}
+
+/**
+ * Checks whether an event counts toward a requirement (it has any of the requirement's tags)
+ */
+function matchesRequirement(event, requirement) {
+    return requirement.categories.length === 0 ||
+        requirement.categories.some(category => window.CategoryRules.hasTag(event, category));
+}
+
+/**
+ * Totals a unit across events
+ * Events without a time window can't add hours and are counted separately
+ * @returns {Object} { value, untimedEvents }
+ */
+function measureEvents(events, unit) {
+    if (unit === 'nights') {
+        return { value: events.reduce((nights, event) => nights + window.HistoryManager.getEventNights(event), 0), untimedEvents: 0 };
+    }
+    if (unit === 'hours') {
+        const timed = events.filter(event => typeof event.durationHours === 'number');
+        const hours = timed.reduce((total, event) => total + event.durationHours, 0);
+        return { value: Math.round(hours * 100) / 100, untimedEvents: events.length - timed.length };
+    }
+    return { value: events.length, untimedEvents: 0 };
+}
+
+/**
+ * Works out one scout's progress toward each requirement
+ * Only past events count; upcoming signups are shown as planned
+ * @param {Array} pastEvents - The scout's past events
+ * @param {Array} futureEvents - The scout's upcoming events
+ * @param {Array} requirements - From loadRequirements
+ * @returns {Array} [{ requirement, value, planned, percent, complete, untimedEvents }]
+ */
+function getProgress(pastEvents, futureEvents, requirements) {
+    return (requirements || []).map(requirement => {
+        const done = measureEvents((pastEvents || []).filter(event => matchesRequirement(event, requirement)), requirement.unit);
+        const planned = measureEvents((futureEvents || []).filter(event => matchesRequirement(event, requirement)), requirement.unit);
+        
+        return {
+            requirement: requirement,
+            value: done.value,
+            planned: planned.value,
+            percent: Math.min(100, Math.round((done.value / requirement.target) * 100)),
+            complete: done.value >= requirement.target,
+            untimedEvents: done.untimedEvents
+        };
+    });
+}
+
+// Export API
+window.Requirements = {
+    REQUIREMENT_UNITS,
+    loadRequirements,
+    addRequirement,
+    updateRequirement,
+    removeRequirement,
+    resetRequirements,
+    getProgress
+};
@@ -0,0 +1,97 @@
+/**
+ * Safeguards Module
+ * Youth protection checks for upcoming events: two-deep leadership (at least two adults)
+ * and a maximum number of scouts per adult
+ * The scouts-per-adult limit is stored in localStorage
+ */
+
+const MAX_SCOUTS_PER_ADULT_STORAGE_KEY = 't132_max_scouts_per_adult';
+const DEFAULT_MAX_SCOUTS_PER_ADULT = 8;
+const MIN_ADULTS = 2;
+
+/**
+ * The most scouts one adult may be responsible for
+ */
+function getMaxScoutsPerAdult() {
+    return window.Settings.getPositiveInteger(MAX_SCOUTS_PER_ADULT_STORAGE_KEY, DEFAULT_MAX_SCOUTS_PER_ADULT);
+}
+
+/**
+ * Saves the scouts-per-adult limit
+ * @returns {number} The saved value (invalid input keeps the current one)
+ */
+function setMaxScoutsPerAdult(value) {
+    return window.Settings.setPositiveInteger(MAX_SCOUTS_PER_ADULT_STORAGE_KEY, DEFAULT_MAX_SCOUTS_PER_ADULT, value);
+}
+
+/**
+ * Adults an event needs: two-deep, plus enough to stay within the ratio
+ */
+function getAdultsNeeded(scoutCount, maxScoutsPerAdult) {
+    return Math.max(MIN_ADULTS, Math.ceil(scoutCount / maxScoutsPerAdult));
+}
+
+/**
+ * Checks one event's staffing
+ * @param {Object} event
+ * @param {number} maxScoutsPerAdult
+ * @returns {Array} [{ code, message }] code is 'no-adults', 'two-deep' or 'ratio'; [] when staffed
+ */
+function checkEvent(event, maxScoutsPerAdult) {
+    const scouts = (event.scouts || []).length;
+    const adults = (event.adults || []).length;
+    const issues = [];
+    
+    // Scouts with no adults at all is the most serious case and covers two-deep too
+    if (scouts > 0 && adults === 0) {
+        issues.push({ code: 'no-adults', message: `${scouts} scout(s) signed up with no adults` });
+    } else if (adults < MIN_ADULTS) {
+        issues.push({
+            code: 'two-deep',
+            message: adults === 0
+                ? `No adults signed up yet (two-deep leadership needs ${MIN_ADULTS})`
+                : `Only ${adults} adult signed up (two-deep leadership needs ${MIN_ADULTS})`
+        });
+    }
+    
+    if (adults > 0 && scouts > adults * maxScoutsPerAdult) {
+        issues.push({
+            code: 'ratio',
+            message: `${scouts} scouts for ${adults} adult(s) - more than ${maxScoutsPerAdult} per adult`
+        });
+    }
+    
+    return issues;
+}
+
+/**
+ * Upcoming events that fail any check, soonest first
+ * @param {Array} futureEvents
+ * @param {number} maxScoutsPerAdult
+ * @returns {Array} [{ event, issues, scouts, adults, adultsNeeded }] adultsNeeded = more adults to sign up
+ */
+function findUnderstaffedEvents(futureEvents, maxScoutsPerAdult) {
+    return (futureEvents || [])
+        .map(event => {
+            const scouts = (event.scouts || []).length;
+            const adults = (event.adults || []).length;
+            return {
+                event: event,
+                issues: checkEvent(event, maxScoutsPerAdult),
+                scouts: scouts,
+                adults: adults,
+                adultsNeeded: Math.max(0, getAdultsNeeded(scouts, maxScoutsPerAdult) - adults)
+            };
+        })
+        .filter(entry => entry.issues.length > 0)
+        .sort((a, b) => String(a.event.startDate).localeCompare(String(b.event.startDate)));
+}
+
+// Export API
+window.Safeguards = {
+    MIN_ADULTS,
+    getMaxScoutsPerAdult,
+    setMaxScoutsPerAdult,
+    checkEvent,
+    findUnderstaffedEvents
+};
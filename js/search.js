@@ -1,6 +1,6 @@
 /**
  * Search Module
- * Handles fuzzy search for scouts by name
+ * Handles fuzzy search for scouts and adults by name and filtering of events
  */
 
 /**
@@ -176,7 +176,7 @@ function extractUniqueAdults(futureEvents, pastEvents) {
 }
 
 /**
- * Searches for scouts matching the query
+ * Searches for scouts (or adults - any list from the extract functions) matching the query
  * Supports fuzzy matching and searches first name, last name, and full name
  */
 function searchScouts(query, allScouts) {
@@ -212,6 +212,16 @@ function searchScouts(query, allScouts) {
             score = Math.max(score, lastNameScore * 0.9); // Slightly lower weight
         }
         
+        // Check confirmed name aliases ("Robert Smith" finds "Bob Smith")
+        if (Array.isArray(scout.aliases)) {
+            scout.aliases.forEach(alias => {
+                const aliasScore = calculateSimilarity(alias, searchTerm);
+                if (aliasScore > 0.3) {
+                    score = Math.max(score, aliasScore * 0.9);
+                }
+            });
+        }
+        
         // Check if search term is contained in any part
         if (scout.fullName.toLowerCase().includes(searchTerm) ||
             scout.firstName.toLowerCase().includes(searchTerm) ||
@@ -263,12 +273,68 @@ function getScoutEvents(scoutName, futureEvents, pastEvents) {
     };
 }
 
+/**
+ * Gets all events an adult signed up for
+ * Searches both future and past events by the adults array
+ */
+function getAdultEvents(adultName, futureEvents, pastEvents) {
+    const normalizedName = adultName.toLowerCase().trim();
+    const isAdultAt = event => event && Array.isArray(event.adults) &&
+        event.adults.some(name => String(name).toLowerCase().trim() === normalizedName);
+    
+    return {
+        future: Array.isArray(futureEvents) ? futureEvents.filter(isAdultAt) : [],
+        past: Array.isArray(pastEvents) ? pastEvents.filter(isAdultAt) : []
+    };
+}
+
+/**
+ * Filters events by category (any of an event's tags), date range and event name text
+ * Filters: { text, category, startDate, endDate } - empty values are ignored
+ * An event matches the date range if any of its days fall inside it
+ */
+function filterEvents(events, filters) {
+    if (!Array.isArray(events)) return [];
+    
+    const criteria = filters || {};
+    const text = (criteria.text || '').trim().toLowerCase();
+    const category = criteria.category || '';
+    const rangeStart = criteria.startDate || '';
+    const rangeEnd = criteria.endDate || '';
+    
+    return events.filter(event => {
+        if (!event) return false;
+        
+        if (text && !String(event.eventName || '').toLowerCase().includes(text)) {
+            return false;
+        }
+        
+        if (category && !window.CategoryRules.hasTag(event, category)) {
+            return false;
+        }
+        
+        // Dates are YYYY-MM-DD so string comparison matches date order
+        const eventStart = event.startDate || '';
+        const eventEnd = event.endDate || eventStart;
+        if (rangeStart && eventEnd < rangeStart) {
+            return false;
+        }
+        if (rangeEnd && eventStart > rangeEnd) {
+            return false;
+        }
+        
+        return true;
+    });
+}
+
 // Export API
 window.Search = {
     calculateSimilarity,
     extractUniqueScouts,
     extractUniqueAdults,
     searchScouts,
-    getScoutEvents
+    getScoutEvents,
+    getAdultEvents,
+    filterEvents
 };
 
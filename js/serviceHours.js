@@ -0,0 +1,95 @@
+/**
+ * Service Hours Module
+ * Totals service hours from event time windows
+ * Only events tagged Service Project or Eagle Project count toward service hours
+ */
+
+const SERVICE_CATEGORIES = ['Service Project', 'Eagle Project'];
+
+/**
+ * Checks if an event counts toward service hours (any of its tags is a service category)
+ */
+function isServiceEvent(event) {
+    return !!event && SERVICE_CATEGORIES.some(category => window.CategoryRules.hasTag(event, category));
+}
+
+/**
+ * Totals service hours across a list of events
+ * Service events without a time window can't be counted and are reported separately
+ * @param {Array} events - Events (normally one scout's past events)
+ * @returns {Object} { hours, events, untimedEvents }
+ */
+function getServiceHours(events) {
+    const totals = { hours: 0, events: 0, untimedEvents: 0 };
+    if (!Array.isArray(events)) return totals;
+    
+    events.forEach(event => {
+        if (!isServiceEvent(event)) return;
+        
+        totals.events += 1;
+        if (typeof event.durationHours === 'number') {
+            totals.hours += event.durationHours;
+        } else {
+            totals.untimedEvents += 1;
+        }
+    });
+    
+    totals.hours = Math.round(totals.hours * 100) / 100;
+    return totals;
+}
+
+/**
+ * Builds the troop-wide service hours summary from past events
+ * @param {Array} pastEvents - Completed events
+ * @returns {Object} { totalHours, untimedEvents, scouts: [{ name, hours, events }] } sorted by hours
+ */
+function summarizeServiceHours(pastEvents) {
+    const scoutMap = new Map(); // normalized name -> { name, hours, events }
+    let totalHours = 0;
+    let untimedEvents = 0;
+    
+    if (Array.isArray(pastEvents)) {
+        pastEvents.forEach(event => {
+            if (!isServiceEvent(event)) return;
+            
+            const hours = typeof event.durationHours === 'number' ? event.durationHours : 0;
+            if (typeof event.durationHours !== 'number') {
+                untimedEvents += 1;
+            }
+            
+            (event.scouts || []).forEach(scoutName => {
+                const name = String(scoutName).trim();
+                if (!name) return;
+                
+                const normalized = name.toLowerCase();
+                if (!scoutMap.has(normalized)) {
+                    scoutMap.set(normalized, { name: name, hours: 0, events: 0 });
+                }
+                const entry = scoutMap.get(normalized);
+                entry.hours += hours;
+                entry.events += 1;
+                totalHours += hours;
+            });
+        });
+    }
+    
+    const scouts = Array.from(scoutMap.values()).map(entry => ({
+        ...entry,
+        hours: Math.round(entry.hours * 100) / 100
+    }));
+    scouts.sort((a, b) => b.hours - a.hours || a.name.localeCompare(b.name));
+    
+    return {
+        totalHours: Math.round(totalHours * 100) / 100,
+        untimedEvents: untimedEvents,
+        scouts: scouts
+    };
+}
+
+// Export API
+window.ServiceHours = {
+    SERVICE_CATEGORIES,
+    isServiceEvent,
+    getServiceHours,
+    summarizeServiceHours
+};
@@ -0,0 +1,34 @@
+/**
+ * Settings Module
+ * Whole-number settings leaders can change, stored in localStorage
+ * (e.g. the inactivity window and the scouts-per-adult limit)
+ */
+
+/**
+ * Reads a setting that must be a whole number above zero
+ * @param {string} storageKey
+ * @param {number} defaultValue - Used when nothing valid is stored
+ */
+function getPositiveInteger(storageKey, defaultValue) {
+    const stored = Number(localStorage.getItem(storageKey));
+    return Number.isInteger(stored) && stored > 0 ? stored : defaultValue;
+}
+
+/**
+ * Saves a whole-number setting, rounding the input
+ * @returns {number} The saved value (invalid input keeps the current one)
+ */
+function setPositiveInteger(storageKey, defaultValue, value) {
+    const rounded = Math.round(Number(value));
+    if (!Number.isFinite(rounded) || rounded < 1) {
+        return getPositiveInteger(storageKey, defaultValue);
+    }
+    localStorage.setItem(storageKey, String(rounded));
+    return rounded;
+}
+
+// Export API
+window.Settings = {
+    getPositiveInteger,
+    setPositiveInteger
+};
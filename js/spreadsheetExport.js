@@ -0,0 +1,297 @@
+/**
+ * Spreadsheet Export Module
+ * Turns a table (headers + rows) into a CSV or XLSX download
+ * XLSX files are built here (an uncompressed zip of the minimal workbook parts)
+ * so no spreadsheet library is needed
+ */
+
+const EXPORT_FORMATS = {
+    csv: { extension: 'csv', mimeType: 'text/csv;charset=utf-8' },
+    xlsx: { extension: 'xlsx', mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' }
+};
+
+/**
+ * Stops spreadsheet apps treating text from the signup form as a formula
+ */
+function neutralizeFormula(value) {
+    return /^[=+\-@\t\r]/.test(value) ? `'${value}` : value;
+}
+
+/**
+ * Builds CSV text (RFC 4180 quoting)
+ * @param {Array<string>} headers
+ * @param {Array<Array>} rows - Cells may be strings, numbers or empty
+ */
+function toCSV(headers, rows) {
+    const toCell = value => {
+        if (value === null || value === undefined) return '';
+        if (typeof value === 'number') return String(value);
+        
+        const text = neutralizeFormula(String(value));
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    
+    return [headers].concat(rows)
+        .map(row => row.map(toCell).join(','))
+        .join('\r\n') + '\r\n';
+}
+
+/**
+ * Escapes text for XML
+ */
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        // Control characters aren't allowed in XML
+        .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+}
+
+/**
+ * Converts a zero-based column index to its letter(s), e.g. 0 -> A, 27 -> AB
+ */
+function columnLetter(index) {
+    let letters = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+        letters = String.fromCharCode(65 + ((n - 1) % 26)) + letters;
+    }
+    return letters;
+}
+
+/**
+ * Builds the worksheet XML; the header row is bold (style 1)
+ */
+function buildSheetXml(headers, rows) {
+    const toCell = (value, rowNumber, columnIndex, isHeader) => {
+        const ref = `${columnLetter(columnIndex)}${rowNumber}`;
+        const style = isHeader ? ' s="1"' : '';
+        if (value === null || value === undefined || value === '') return '';
+        if (typeof value === 'number' && isFinite(value)) {
+            return `<c r="${ref}"${style}><v>${value}</v></c>`;
+        }
+        return `<c r="${ref}"${style} t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+    };
+    
+    const sheetRows = [headers].concat(rows).map((row, rowIndex) => {
+        const rowNumber = rowIndex + 1;
+        const cells = row.map((value, columnIndex) => toCell(value, rowNumber, columnIndex, rowIndex === 0)).join('');
+        return `<row r="${rowNumber}">${cells}</row>`;
+    }).join('');
+    
+    return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+        '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>' +
+        `<sheetData>${sheetRows}</sheetData>` +
+        '</worksheet>';
+}
+
+/**
+ * Sheet names are limited to 31 characters and can't contain []:*?/\
+ */
+function cleanSheetName(name) {
+    return String(name || 'Sheet1').replace(/[\[\]:*?\/\\]/g, ' ').trim().slice(0, 31) || 'Sheet1';
+}
+
+/**
+ * CRC-32 of a byte array (needed by the zip format)
+ */
+let crcTable = null;
+function crc32(bytes) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crcTable[n] = c >>> 0;
+        }
+    }
+    
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Packs files into a zip archive without compression
+ * @param {Array} files - [{ name, content (string) }]
+ * @returns {Uint8Array}
+ */
+function buildZip(files) {
+    const encoder = new TextEncoder();
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+    
+    files.forEach(file => {
+        const nameBytes = encoder.encode(file.name);
+        const data = encoder.encode(file.content);
+        const crc = crc32(data);
+        
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034b50, true);  // Local file header signature
+        local.setUint16(4, 20, true);          // Version needed
+        local.setUint16(6, 0x0800, true);      // UTF-8 names
+        local.setUint16(8, 0, true);           // Stored (no compression)
+        local.setUint32(14, crc, true);
+        local.setUint32(18, data.length, true);
+        local.setUint32(22, data.length, true);
+        local.setUint16(26, nameBytes.length, true);
+        localParts.push(new Uint8Array(local.buffer), nameBytes, data);
+        
+        const central = new DataView(new ArrayBuffer(46));
+        central.setUint32(0, 0x02014b50, true); // Central directory signature
+        central.setUint16(4, 20, true);         // Version made by
+        central.setUint16(6, 20, true);         // Version needed
+        central.setUint16(8, 0x0800, true);
+        central.setUint16(10, 0, true);
+        central.setUint32(16, crc, true);
+        central.setUint32(20, data.length, true);
+        central.setUint32(24, data.length, true);
+        central.setUint16(28, nameBytes.length, true);
+        central.setUint32(42, offset, true);    // Offset of the local header
+        centralParts.push(new Uint8Array(central.buffer), nameBytes);
+        
+        offset += 30 + nameBytes.length + data.length;
+    });
+    
+    const centralSize = centralParts.reduce((total, part) => total + part.length, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);         // End of central directory signature
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+    
+    const parts = localParts.concat(centralParts, [new Uint8Array(end.buffer)]);
+    const zip = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+    let position = 0;
+    parts.forEach(part => {
+        zip.set(part, position);
+        position += part.length;
+    });
+    return zip;
+}
+
+/**
+ * Builds a one-sheet XLSX workbook
+ * @param {string} sheetName
+ * @param {Array<string>} headers
+ * @param {Array<Array>} rows
+ * @returns {Uint8Array}
+ */
+function toXLSX(sheetName, headers, rows) {
+    const xmlHeader = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>';
+    
+    return buildZip([
+        {
+            name: '[Content_Types].xml',
+            content: xmlHeader +
+                '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+                '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+                '<Default Extension="xml" ContentType="application/xml"/>' +
+                '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+                '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+                '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+                '</Types>'
+        },
+        {
+            name: '_rels/.rels',
+            content: xmlHeader +
+                '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+                '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+                '</Relationships>'
+        },
+        {
+            name: 'xl/workbook.xml',
+            content: xmlHeader +
+                '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+                `<sheets><sheet name="${escapeXml(cleanSheetName(sheetName))}" sheetId="1" r:id="rId1"/></sheets>` +
+                '</workbook>'
+        },
+        {
+            name: 'xl/_rels/workbook.xml.rels',
+            content: xmlHeader +
+                '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+                '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+                '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>' +
+                '</Relationships>'
+        },
+        {
+            name: 'xl/styles.xml',
+            content: xmlHeader +
+                '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+                '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+                '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+                '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+                '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+                '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/><xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>' +
+                '</styleSheet>'
+        },
+        {
+            name: 'xl/worksheets/sheet1.xml',
+            content: buildSheetXml(headers, rows)
+        }
+    ]);
+}
+
+/**
+ * Starts a browser download
+ * @param {string|Uint8Array} content
+ * @param {string} filename
+ * @param {string} mimeType
+ */
+function downloadFile(content, filename, mimeType) {
+    const blob = new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Downloads a table as CSV or XLSX
+ * @param {string} baseFilename - Name without extension, e.g. 'event-list'
+ * @param {string} format - 'csv' or 'xlsx'
+ * @param {Array<string>} headers
+ * @param {Array<Array>} rows
+ * @param {string} [sheetName] - XLSX sheet name
+ */
+function exportTable(baseFilename, format, headers, rows, sheetName) {
+    const exportFormat = EXPORT_FORMATS[format];
+    if (!exportFormat) {
+        throw new Error(`Unknown export format "${format}"`);
+    }
+    
+    // A byte order mark lets Excel open UTF-8 CSV files correctly
+    const content = format === 'xlsx'
+        ? toXLSX(sheetName || baseFilename, headers, rows)
+        : '\uFEFF' + toCSV(headers, rows);
+    
+    downloadFile(content, `${baseFilename}.${exportFormat.extension}`, exportFormat.mimeType);
+}
+
+/**
+ * Turns text into a safe filename part, e.g. "Winter Camp!" -> "winter-camp"
+ */
+function toFilenamePart(text) {
+    return String(text || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'export';
+}
+
+// Export API
+window.SpreadsheetExport = {
+    toCSV,
+    toXLSX,
+    exportTable,
+    downloadFile,
+    toFilenamePart
+};
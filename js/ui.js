@@ -60,39 +60,103 @@ function hideScoutResults() {
 }
 
 /**
- * Renders search suggestions dropdown
+ * Renders search suggestions dropdown, with a Scout or Adult badge on each
+ * @param {boolean} showAll - List every suggestion without a query (a patrol's members)
  */
-function renderSearchSuggestions(suggestions, query) {
+function renderSearchSuggestions(suggestions, query, showAll) {
     const suggestionsContainer = document.getElementById('searchSuggestions');
     if (!suggestionsContainer) return;
     
-    if (!query || query.trim().length === 0 || !Array.isArray(suggestions) || suggestions.length === 0) {
+    const hasQuery = query && query.trim().length > 0;
+    if ((!hasQuery && !showAll) || !Array.isArray(suggestions) || suggestions.length === 0) {
         suggestionsContainer.innerHTML = '';
         suggestionsContainer.classList.add('hidden');
         return;
     }
     
     // Show top 5 suggestions
-    const topSuggestions = suggestions.slice(0, 5);
+    const topSuggestions = showAll ? suggestions : suggestions.slice(0, 5);
     
-    suggestionsContainer.innerHTML = topSuggestions.map((scout, index) => `
+    suggestionsContainer.innerHTML = topSuggestions.map((person, index) => `
         <div 
             class="suggestion-item" 
-            onclick="selectScout('${scout.fullName.replace(/'/g, "\\'")}')"
+            data-person-name="${escapeHtml(person.fullName)}"
+            onclick="${person.isAdult ? 'selectAdult' : 'selectScout'}(this.dataset.personName)"
             onmouseover="this.style.background='rgba(16, 185, 129, 0.1)'"
             onmouseout="this.style.background='transparent'"
         >
-            <span class="font-semibold">${scout.fullName}</span>
+            <span class="font-semibold">${escapeHtml(person.fullName)}</span>
+            <span class="person-badge ${person.isAdult ? 'adult' : 'scout'}">${person.isAdult ? 'Adult' : 'Scout'}</span>
+            ${person.patrol ? `<span class="patrol-badge">${escapeHtml(person.patrol)}</span>` : ''}
         </div>
     `).join('');
     
     suggestionsContainer.classList.remove('hidden');
 }
 
+/**
+ * Fills a patrol filter select, keeping the chosen patrol selected
+ * @param {string} selectId - e.g. 'searchPatrolFilter'
+ * @param {Array<string>} patrols - Patrol names, sorted
+ * @param {string} selected - '' for all patrols
+ */
+function renderPatrolFilter(selectId, patrols, selected) {
+    const patrolSelect = document.getElementById(selectId);
+    if (!patrolSelect) return;
+    
+    patrolSelect.innerHTML = '<option value="">All patrols</option>' + patrols.map(patrol => `
+        <option value="${escapeHtml(patrol)}"${patrol === selected ? ' selected' : ''}>${escapeHtml(patrol)}</option>
+    `).join('');
+    
+    // Nothing to filter by until a signup names a patrol
+    patrolSelect.classList.toggle('hidden', patrols.length === 0);
+}
+
+/**
+ * Renders a scout's progress bars toward each rank requirement
+ * @param {Array} progress - From Requirements.getProgress
+ */
+function renderRequirementProgress(progress) {
+    if (!Array.isArray(progress) || progress.length === 0) return '';
+    
+    const formatAmount = (value, unit) => unit === 'hours' ? formatHours(value) : String(value);
+    const items = progress.map(item => {
+        const { requirement } = item;
+        const categories = requirement.categories.length > 0 ? requirement.categories.join(', ') : 'All events';
+        const notes = [
+            item.planned > 0 ? `+${formatAmount(item.planned, requirement.unit)} signed up` : '',
+            item.untimedEvents > 0 ? `${item.untimedEvents} event(s) without a time window not counted` : ''
+        ].filter(Boolean).join(' · ');
+        
+        return `
+            <div class="requirement-item${item.complete ? ' complete' : ''}">
+                <div class="requirement-header">
+                    <span class="font-semibold">${item.complete ? '✅ ' : ''}${escapeHtml(requirement.name)}</span>
+                    <span class="requirement-count">${formatAmount(item.value, requirement.unit)} / ${formatAmount(requirement.target, requirement.unit)} ${requirement.unit}</span>
+                </div>
+                <div class="requirement-bar" role="progressbar" aria-valuenow="${item.percent}" aria-valuemin="0" aria-valuemax="100" title="${escapeHtml(categories)}">
+                    <div class="requirement-fill" style="width: ${item.percent}%"></div>
+                </div>
+                ${notes ? `<p class="event-length">${notes}</p>` : ''}
+            </div>
+        `;
+    }).join('');
+    
+    return `
+        <div class="events-section">
+            <h3 class="section-title upcoming">🎯 Rank Requirements</h3>
+            <div class="requirement-list">${items}</div>
+        </div>
+    `;
+}
+
 /**
  * Renders scout event history (past + future)
+ * @param {string} patrol - The scout's current patrol ('' when unknown)
+ * @param {Array} requirementProgress - From Requirements.getProgress
+ * @param {Object} reportRange - { startDate, endDate } shown in the report period inputs
  */
-function renderScoutHistory(scoutName, futureEvents, pastEvents) {
+function renderScoutHistory(scoutName, futureEvents, pastEvents, patrol, requirementProgress, reportRange) {
     const resultsSection = document.getElementById('scoutResultsSection');
     if (!resultsSection) return;
     
@@ -100,27 +164,25 @@ function renderScoutHistory(scoutName, futureEvents, pastEvents) {
     const totalPast = Array.isArray(pastEvents) ? pastEvents.length : 0;
     const totalFuture = Array.isArray(futureEvents) ? futureEvents.length : 0;
     
-    // Calculate total days attended
+    // Calculate total days attended (multi-day events count every day)
     let totalDays = 0;
     if (Array.isArray(pastEvents)) {
         pastEvents.forEach(event => {
-            if (event.startDate && event.endDate) {
-                try {
-                    const start = new Date(event.startDate);
-                    const end = new Date(event.endDate);
-                    const days = Math.ceil((end - start) / (1000 * 60 * 60 * 24)) + 1;
-                    totalDays += days;
-                } catch (e) {
-                    // Invalid date, skip
-                }
-            }
+            totalDays += window.HistoryManager.getEventDays(event.startDate, event.endDate);
         });
     }
     
+    // Service hours come from past Service Project / Eagle Project events
+    const serviceHours = window.ServiceHours.getServiceHours(pastEvents);
+    const serviceHoursNote = serviceHours.untimedEvents > 0
+        ? `${serviceHours.untimedEvents} service event(s) have no time window and are not counted`
+        : `${serviceHours.events} service event(s)`;
+    
     let html = `
         <div class="scout-profile-card">
             <div class="scout-header">
-                <h2 class="text-3xl font-bold mb-2">${scoutName}</h2>
+                <h2 class="text-3xl font-bold mb-2">${escapeHtml(scoutName)}</h2>
+                ${patrol ? `<p class="event-length">Patrol: <span class="patrol-badge">${escapeHtml(patrol)}</span></p>` : ''}
                 <div class="scout-stats">
                     <div class="stat-badge">
                         <span class="stat-number">${totalPast}</span>
@@ -134,8 +196,27 @@ function renderScoutHistory(scoutName, futureEvents, pastEvents) {
                         <span class="stat-number">${totalDays}</span>
                         <span class="stat-label">Total Days</span>
                     </div>
+                    <div class="stat-badge" title="${serviceHoursNote}">
+                        <span class="stat-number">${formatHours(serviceHours.hours)}</span>
+                        <span class="stat-label">Service Hours</span>
+                    </div>
+                </div>
+                ${renderExportButtons('exportScoutHistory', `
+                    <button class="btn-clear" onclick="exportCalendar('scout')">📅 Add Upcoming to Calendar</button>
+                `)}
+                <div class="event-filters report-controls">
+                    <label class="filter-label">
+                        From
+                        <input type="date" id="reportStartDate" class="filter-input" value="${escapeHtml((reportRange && reportRange.startDate) || '')}" onchange="onReportRangeChange()">
+                    </label>
+                    <label class="filter-label">
+                        To
+                        <input type="date" id="reportEndDate" class="filter-input" value="${escapeHtml((reportRange && reportRange.endDate) || '')}" onchange="onReportRangeChange()">
+                    </label>
+                    <button class="btn btn-secondary btn-small" onclick="printScoutReport()">🖨️ Board of Review Report</button>
                 </div>
             </div>
+            ${renderRequirementProgress(requirementProgress)}
     `;
     
     // Future Events Section
@@ -154,35 +235,7 @@ function renderScoutHistory(scoutName, futureEvents, pastEvents) {
         });
         
         sortedFuture.forEach(event => {
-            const startDate = formatDate(event.startDate);
-            const endDate = event.endDate && event.endDate !== event.startDate 
-                ? ` - ${formatDate(event.endDate)}` 
-                : '';
-            const category = event.category ? `<span class="event-category">${event.category}</span>` : '';
-            
-            // Calculate event length
-            let eventLength = '';
-            if (event.startDate && event.endDate) {
-                try {
-                    const start = new Date(event.startDate);
-                    const end = new Date(event.endDate);
-                    const days = Math.ceil((end - start) / (1000 * 60 * 60 * 24)) + 1;
-                    eventLength = days === 1 ? '1 day' : `${days} days`;
-                } catch (e) {
-                    eventLength = '';
-                }
-            }
-            
-            html += `
-                <div class="event-card future">
-                    <div class="event-header">
-                        <h4 class="event-name">${event.eventName || 'Unnamed Event'}</h4>
-                        ${category}
-                    </div>
-                    <p class="event-date">${startDate}${endDate}</p>
-                    ${eventLength ? `<p class="event-length">${eventLength}</p>` : ''}
-                </div>
-            `;
+            html += renderHistoryEventCard(event, 'future');
         });
         
         html += `
@@ -214,36 +267,7 @@ function renderScoutHistory(scoutName, futureEvents, pastEvents) {
         });
         
         sortedPast.forEach(event => {
-            const startDate = formatDate(event.startDate);
-            const endDate = event.endDate && event.endDate !== event.startDate 
-                ? ` - ${formatDate(event.endDate)}` 
-                : '';
-            
-            // Calculate event length
-            let eventLength = '';
-            if (event.startDate && event.endDate) {
-                try {
-                    const start = new Date(event.startDate);
-                    const end = new Date(event.endDate);
-                    const days = Math.ceil((end - start) / (1000 * 60 * 60 * 24)) + 1;
-                    eventLength = days === 1 ? '1 day' : `${days} days`;
-                } catch (e) {
-                    eventLength = '';
-                }
-            }
-            
-            const category = event.category ? `<span class="event-category">${event.category}</span>` : '';
-            
-            html += `
-                <div class="event-card past">
-                    <div class="event-header">
-                        <h4 class="event-name">${event.eventName}</h4>
-                        ${category}
-                    </div>
-                    <p class="event-date">${startDate}${endDate}</p>
-                    ${eventLength ? `<p class="event-length">${eventLength}</p>` : ''}
-                </div>
-            `;
+            html += renderHistoryEventCard(event, 'past');
         });
         
         html += `
@@ -267,6 +291,1335 @@ function renderScoutHistory(scoutName, futureEvents, pastEvents) {
     showScoutResults();
 }
 
+/**
+ * Renders one event card in a scout or adult profile (opens the event's roster)
+ * @param {string} type - 'future' or 'past'
+ */
+function renderHistoryEventCard(event, type) {
+    const startDate = formatDate(event.startDate);
+    const endDate = event.endDate && event.endDate !== event.startDate 
+        ? ` - ${formatDate(event.endDate)}` 
+        : '';
+    const eventLength = formatEventLength(event);
+    
+    return `
+        <div class="event-card ${type} clickable" data-event-id="${escapeHtml(event.id)}" onclick="openEventRoster(this.dataset.eventId)">
+            <div class="event-header">
+                <h4 class="event-name">${escapeHtml(event.eventName || 'Unnamed Event')}</h4>
+                ${renderTagBadges(event)}
+                ${renderSafetyBadge(event)}
+            </div>
+            <p class="event-date">${startDate}${endDate}</p>
+            ${eventLength ? `<p class="event-length">${eventLength}</p>` : ''}
+        </div>
+    `;
+}
+
+/**
+ * Renders an adult's volunteer profile in the search results area
+ * @param {Object} summary - From Volunteers.getVolunteerSummary
+ */
+function renderAdultHistory(adultName, futureEvents, pastEvents, summary) {
+    const resultsSection = document.getElementById('scoutResultsSection');
+    if (!resultsSection) return;
+    
+    const hoursNote = summary.untimedEvents > 0
+        ? `${summary.untimedEvents} event(s) have no time window and are not counted`
+        : `${summary.eventsSupported} event(s)`;
+    const shareLabel = summary.troopShare === null ? '-' : `${Math.round(summary.troopShare * 100)}%`;
+    
+    const sortedFuture = [...futureEvents].sort((a, b) => String(a.startDate).localeCompare(String(b.startDate)));
+    const sortedPast = [...pastEvents].sort((a, b) =>
+        String(b.endDate || b.startDate).localeCompare(String(a.endDate || a.startDate)));
+    
+    const scoutItems = summary.scoutsAccompanied.map(scout => `
+        <li class="roster-item clickable" data-scout-name="${escapeHtml(scout.name)}" onclick="selectScout(this.dataset.scoutName)">
+            ${escapeHtml(scout.name)} <span class="event-length">${scout.events} event(s)</span>
+        </li>
+    `).join('');
+    
+    resultsSection.innerHTML = `
+        <div class="scout-profile-card">
+            <div class="scout-header">
+                <h2 class="text-3xl font-bold mb-2">${escapeHtml(adultName)}</h2>
+                <p class="event-length"><span class="person-badge adult">Adult</span> Volunteer profile</p>
+                <div class="scout-stats">
+                    <div class="stat-badge">
+                        <span class="stat-number">${summary.eventsSupported}</span>
+                        <span class="stat-label">Events Supported</span>
+                    </div>
+                    <div class="stat-badge">
+                        <span class="stat-number">${summary.upcomingEvents}</span>
+                        <span class="stat-label">Upcoming</span>
+                    </div>
+                    <div class="stat-badge">
+                        <span class="stat-number">${summary.daysVolunteered}</span>
+                        <span class="stat-label">Days Volunteered</span>
+                    </div>
+                    <div class="stat-badge" title="${hoursNote}">
+                        <span class="stat-number">${formatHours(summary.hoursVolunteered)}</span>
+                        <span class="stat-label">Hours</span>
+                    </div>
+                    <div class="stat-badge" title="Share of the troop's past events this adult supported">
+                        <span class="stat-number">${shareLabel}</span>
+                        <span class="stat-label">Of Troop Events</span>
+                    </div>
+                </div>
+                ${summary.heavilyRelied ? `
+                    <p class="volunteer-warning">⚠️ The troop relies heavily on ${escapeHtml(adultName)}: they supported ${shareLabel} of past events. Consider sharing the load.</p>
+                ` : ''}
+                ${renderExportButtons('exportAdultHistory')}
+            </div>
+            <div class="events-section">
+                <h3 class="section-title">🧒 Scouts Accompanied (${summary.scoutsAccompanied.length})</h3>
+                ${scoutItems
+                    ? `<ul class="roster-list">${scoutItems}</ul>`
+                    : '<p class="no-events">No scouts recorded at their past events</p>'}
+            </div>
+            <div class="events-section">
+                <h3 class="section-title upcoming">📅 Upcoming Events</h3>
+                ${sortedFuture.length > 0
+                    ? `<div class="events-list">${sortedFuture.map(event => renderHistoryEventCard(event, 'future')).join('')}</div>`
+                    : '<p class="no-events">No upcoming events</p>'}
+            </div>
+            <div class="events-section">
+                <h3 class="section-title past">📚 Events Supported</h3>
+                ${sortedPast.length > 0
+                    ? `<div class="events-list">${sortedPast.map(event => renderHistoryEventCard(event, 'past')).join('')}</div>`
+                    : '<p class="no-events">No past events recorded</p>'}
+            </div>
+        </div>
+    `;
+    showScoutResults();
+}
+
+/**
+ * Renders the roster panel for a single event
+ * Scouts and adults are listed separately with their counts
+ * @param {Object} options - { scoutPatrols: name -> patrol, patrols: names for the filter, patrolFilter: '' for all,
+ *   tagOptions: tags to suggest when editing the event's tags (null hides the editor) }
+ */
+function renderEventRoster(event, options) {
+    const rosterModal = document.getElementById('eventRosterModal');
+    const rosterContent = document.getElementById('eventRosterContent');
+    if (!rosterModal || !rosterContent || !event) return;
+    
+    const { scoutPatrols = {}, patrols = [], patrolFilter = '', tagOptions = null } = options || {};
+    const signedUpScouts = Array.isArray(event.scouts) ? event.scouts : [];
+    const scouts = signedUpScouts
+        .filter(name => !patrolFilter || scoutPatrols[name] === patrolFilter)
+        .sort((a, b) => a.localeCompare(b));
+    const adults = Array.isArray(event.adults)
+        ? [...event.adults].sort((a, b) => a.localeCompare(b))
+        : [];
+    
+    const startDate = formatDate(event.startDate);
+    const endDate = event.endDate && event.endDate !== event.startDate
+        ? ` - ${formatDate(event.endDate)}`
+        : '';
+    const eventLength = formatEventLength(event);
+    const timeWindow = event.startTime && event.endTime
+        ? `${formatTime(event.startTime)} - ${formatTime(event.endTime)}`
+        : '';
+    const isPast = window.HistoryManager.isEventPast(event.endDate || event.startDate);
+    const category = renderTagBadges(event);
+    
+    // Scouts link to their history; adults are listed as plain names
+    const scoutItems = scouts.map(name => `
+        <li class="roster-item clickable" data-scout-name="${escapeHtml(name)}" onclick="closeEventRoster(); selectScout(this.dataset.scoutName)">
+            ${escapeHtml(name)}
+            ${scoutPatrols[name] ? `<span class="patrol-badge">${escapeHtml(scoutPatrols[name])}</span>` : ''}
+        </li>
+    `).join('');
+    const patrolOptions = patrols.map(patrol => `
+        <option value="${escapeHtml(patrol)}"${patrol === patrolFilter ? ' selected' : ''}>${escapeHtml(patrol)}</option>
+    `).join('');
+    const adultItems = adults.map(name => `
+        <li class="roster-item">${escapeHtml(name)}</li>
+    `).join('');
+    
+    // Leaders can set the event's tags by hand (overriding the category rules)
+    const tagEditor = Array.isArray(tagOptions) ? `
+        <div class="event-filters">
+            <input type="text" id="eventTagsInput" class="filter-input filter-text" list="eventTagOptions"
+                value="${escapeHtml(window.CategoryRules.getEventTags(event).join(', '))}" aria-label="Tags (comma-separated)">
+            <datalist id="eventTagOptions">${tagOptions.map(tag => `<option value="${escapeHtml(tag)}"></option>`).join('')}</datalist>
+            <button class="btn btn-secondary btn-small" onclick="saveEventTags()">Set Tags</button>
+            ${event.tagsOverridden
+                ? `<button class="btn-clear" data-override-id="${escapeHtml(event.tagsOverrideId)}" onclick="clearEventTags(this.dataset.overrideId)">Use Rules</button>`
+                : '<span class="event-length">Tagged by the category rules</span>'}
+        </div>
+    ` : '';
+    
+    rosterContent.innerHTML = `
+        <div class="roster-header">
+            <div class="event-header">
+                <h2 class="text-2xl font-bold">${escapeHtml(event.eventName || 'Unnamed Event')}</h2>
+                ${category}
+                ${renderSafetyBadge(event)}
+            </div>
+            <p class="event-date">${startDate}${endDate}${timeWindow ? `, ${timeWindow}` : ''}${isPast ? ' (past)' : ''}</p>
+            ${eventLength ? `<p class="event-length">${eventLength}</p>` : ''}
+            ${Array.isArray(event.sources) && event.sources.length > 0
+                ? `<p class="event-length">Source: ${escapeHtml(event.sources.join(', '))}</p>`
+                : ''}
+            <div class="scout-stats">
+                <div class="stat-badge">
+                    <span class="stat-number">${signedUpScouts.length + adults.length}</span>
+                    <span class="stat-label">Signed Up</span>
+                </div>
+                <div class="stat-badge">
+                    <span class="stat-number">${signedUpScouts.length}</span>
+                    <span class="stat-label">Scouts</span>
+                </div>
+                <div class="stat-badge">
+                    <span class="stat-number">${adults.length}</span>
+                    <span class="stat-label">Adults</span>
+                </div>
+            </div>
+            ${Array.isArray(event.safetyIssues) && event.safetyIssues.length > 0 ? `
+                <ul class="safety-issues">
+                    ${event.safetyIssues.map(issue => `<li>⚠️ ${escapeHtml(issue.message)}</li>`).join('')}
+                </ul>
+            ` : ''}
+            ${renderExportButtons('exportEventRoster')}
+            ${tagEditor}
+        </div>
+        <div class="roster-columns">
+            <div class="events-section">
+                <h3 class="section-title upcoming">🧭 Scouts (${scouts.length})</h3>
+                ${patrols.length > 0 ? `
+                    <select class="filter-input patrol-filter" onchange="setRosterPatrolFilter(this.value)" aria-label="Patrol">
+                        <option value="">All patrols</option>
+                        ${patrolOptions}
+                    </select>
+                ` : ''}
+                ${scouts.length > 0
+                    ? `<ul class="roster-list">${scoutItems}</ul>`
+                    : `<p class="no-events">${patrolFilter ? `No ${escapeHtml(patrolFilter)} scouts signed up` : 'No scouts signed up'}</p>`}
+            </div>
+            <div class="events-section">
+                <h3 class="section-title past">🧑 Adults (${adults.length})</h3>
+                ${adults.length > 0
+                    ? `<ul class="roster-list">${adultItems}</ul>`
+                    : '<p class="no-events">No adults signed up</p>'}
+            </div>
+        </div>
+    `;
+    
+    rosterModal.classList.remove('hidden');
+}
+
+/**
+ * Hides the event roster panel
+ */
+function hideEventRoster() {
+    const rosterModal = document.getElementById('eventRosterModal');
+    if (rosterModal) rosterModal.classList.add('hidden');
+}
+
+/**
+ * Fills the event picker with upcoming and past events
+ * Upcoming events are sorted soonest first, past events newest first
+ */
+function renderEventPicker(futureEvents, pastEvents) {
+    const eventSelect = document.getElementById('eventSelect');
+    if (!eventSelect) return;
+    
+    const sortedFuture = Array.isArray(futureEvents)
+        ? [...futureEvents].sort((a, b) => new Date(a.startDate || 0) - new Date(b.startDate || 0))
+        : [];
+    const sortedPast = Array.isArray(pastEvents)
+        ? [...pastEvents].sort((a, b) => new Date(b.startDate || 0) - new Date(a.startDate || 0))
+        : [];
+    
+    const toOption = event => `
+        <option value="${escapeHtml(event.id)}">
+            ${escapeHtml(formatDate(event.startDate))} – ${escapeHtml(event.eventName)}
+        </option>
+    `;
+    
+    eventSelect.innerHTML = `
+        <option value="">Pick an event to see who is going...</option>
+        ${sortedFuture.length > 0 ? `<optgroup label="Upcoming Events">${sortedFuture.map(toOption).join('')}</optgroup>` : ''}
+        ${sortedPast.length > 0 ? `<optgroup label="Past Events">${sortedPast.map(toOption).join('')}</optgroup>` : ''}
+    `;
+}
+
+/**
+ * Renders the browse-all-events list
+ * Upcoming events come first (soonest first), then past events (newest first)
+ */
+function renderEventBrowser(futureEvents, pastEvents, totalEvents) {
+    const browserList = document.getElementById('eventBrowserList');
+    const browserCount = document.getElementById('eventBrowserCount');
+    if (!browserList) return;
+    
+    const sortedFuture = Array.isArray(futureEvents)
+        ? [...futureEvents].sort((a, b) => new Date(a.startDate || 0) - new Date(b.startDate || 0))
+        : [];
+    const sortedPast = Array.isArray(pastEvents)
+        ? [...pastEvents].sort((a, b) => new Date(b.startDate || 0) - new Date(a.startDate || 0))
+        : [];
+    const shown = sortedFuture.length + sortedPast.length;
+    
+    if (browserCount) {
+        browserCount.textContent = shown === totalEvents
+            ? `${totalEvents} events`
+            : `Showing ${shown} of ${totalEvents} events`;
+    }
+    
+    if (shown === 0) {
+        browserList.innerHTML = '<p class="no-events">No events match these filters</p>';
+        return;
+    }
+    
+    const toRow = (event, status) => {
+        const scoutCount = Array.isArray(event.scouts) ? event.scouts.length : 0;
+        const adultCount = Array.isArray(event.adults) ? event.adults.length : 0;
+        const endDate = event.endDate && event.endDate !== event.startDate
+            ? ` - ${formatDate(event.endDate)}`
+            : '';
+        const category = renderTagBadges(event);
+        
+        return `
+            <div class="event-card event-row ${status} clickable" data-event-id="${escapeHtml(event.id)}" onclick="openEventRoster(this.dataset.eventId)">
+                <div class="event-row-main">
+                    <div class="event-header">
+                        <h4 class="event-name">${escapeHtml(event.eventName || 'Unnamed Event')}</h4>
+                        ${category}
+                        ${renderSafetyBadge(event)}
+                    </div>
+                    <p class="event-date">${formatDate(event.startDate)}${endDate}</p>
+                </div>
+                <div class="event-row-count" title="${scoutCount} scouts, ${adultCount} adults">
+                    <span class="stat-number">${scoutCount + adultCount}</span>
+                    <span class="stat-label">${scoutCount} scouts · ${adultCount} adults</span>
+                </div>
+            </div>
+        `;
+    };
+    
+    browserList.innerHTML = `
+        ${sortedFuture.map(event => toRow(event, 'future')).join('')}
+        ${sortedPast.map(event => toRow(event, 'past')).join('')}
+    `;
+}
+
+/**
+ * Renders the month or week calendar
+ * Multi-day events are bars spanning their days; month view shows up to three per day
+ * @param {Object} period - From CalendarView.getPeriod
+ * @param {Array} events - Every event to place
+ * @param {Object} options - { mode, today, selectedDate }
+ */
+function renderCalendar(period, events, options) {
+    const calendarGrid = document.getElementById('calendarGrid');
+    const calendarTitle = document.getElementById('calendarTitle');
+    if (!calendarGrid) return;
+    
+    if (calendarTitle) {
+        calendarTitle.textContent = period.title;
+    }
+    document.querySelectorAll('[data-calendar-mode]').forEach(button => {
+        button.classList.toggle('active', button.dataset.calendarMode === options.mode);
+    });
+    
+    const maxLanes = options.mode === 'week' ? Infinity : 3;
+    const weekdayNames = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+    
+    const weekRows = period.weeks.map(week => {
+        const layout = window.CalendarView.layoutWeek(week, events);
+        const shownLanes = Math.min(layout.laneCount, maxLanes);
+        const lastRow = shownLanes + 2;
+        
+        const cells = week.map((date, column) => {
+            const classes = ['calendar-day'];
+            if (period.monthPrefix && !date.startsWith(period.monthPrefix)) classes.push('outside');
+            if (date === options.today) classes.push('today');
+            if (date === options.selectedDate) classes.push('selected');
+            
+            const hiddenCount = layout.bars.filter(bar => bar.lane >= maxLanes &&
+                column >= bar.startColumn && column < bar.startColumn + bar.span).length;
+            const dayNumber = window.HistoryManager.parseLocalDate(date).getDate();
+            
+            return `
+                <div class="${classes.join(' ')}" style="grid-column: ${column + 1}; grid-row: 1 / span ${lastRow};"
+                    data-date="${date}" onclick="selectCalendarDay(this.dataset.date)"></div>
+                <div class="calendar-day-number" style="grid-column: ${column + 1}; grid-row: 1;">${dayNumber}</div>
+                ${hiddenCount > 0
+                    ? `<div class="calendar-more" style="grid-column: ${column + 1}; grid-row: ${lastRow};">+${hiddenCount} more</div>`
+                    : ''}
+            `;
+        }).join('');
+        
+        const bars = layout.bars.filter(bar => bar.lane < maxLanes).map(bar => {
+            const classes = ['calendar-event', window.CalendarView.getCategoryClass(bar.event.category)];
+            if (bar.continuesBefore) classes.push('continues-before');
+            if (bar.continuesAfter) classes.push('continues-after');
+            const unsafe = Array.isArray(bar.event.safetyIssues) && bar.event.safetyIssues.length > 0;
+            if (unsafe) classes.push('understaffed');
+            const count = bar.event.scouts.length + bar.event.adults.length;
+            const time = options.mode === 'week' && bar.event.startTime ? `${formatTime(bar.event.startTime)} ` : '';
+            
+            return `
+                <div class="${classes.join(' ')}" style="grid-column: ${bar.startColumn + 1} / span ${bar.span}; grid-row: ${bar.lane + 2};"
+                    title="${escapeHtml(`${bar.event.eventName} (${window.CategoryRules.getEventTags(bar.event).join(', ')}) - ${count} signed up${unsafe ? ` - ${bar.event.safetyIssues.map(issue => issue.message).join('; ')}` : ''}`)}"
+                    data-event-id="${escapeHtml(bar.event.id)}" onclick="openEventRoster(this.dataset.eventId)">
+                    ${unsafe ? '⚠️ ' : ''}${time}${escapeHtml(bar.event.eventName)}
+                </div>
+            `;
+        }).join('');
+        
+        const rowHeight = options.mode === 'week' ? '28px' : '22px';
+        return `
+            <div class="calendar-week ${options.mode}" style="grid-template-rows: 28px repeat(${shownLanes}, ${rowHeight}) minmax(18px, auto);">
+                ${cells}${bars}
+            </div>
+        `;
+    }).join('');
+    
+    calendarGrid.innerHTML = `
+        <div class="calendar-weekdays">${weekdayNames.map(name => `<div>${name}</div>`).join('')}</div>
+        ${weekRows}
+    `;
+}
+
+/**
+ * Lists the events on one calendar day with who is attending
+ * @param {string} date - YYYY-MM-DD
+ * @param {Array} events - Events on that day (CalendarView.getEventsOnDay)
+ */
+function renderCalendarDay(date, events) {
+    const dayDetails = document.getElementById('calendarDayDetails');
+    if (!dayDetails) return;
+    
+    if (!date) {
+        dayDetails.classList.add('hidden');
+        return;
+    }
+    
+    const eventItems = events.map(event => {
+        const category = renderTagBadges(event);
+        const people = (label, names) => names.length > 0
+            ? `<p class="event-length"><strong>${label} (${names.length}):</strong> ${[...names].sort((a, b) => a.localeCompare(b)).map(escapeHtml).join(', ')}</p>`
+            : `<p class="event-length"><strong>${label}:</strong> none</p>`;
+        
+        return `
+            <div class="event-card clickable" data-event-id="${escapeHtml(event.id)}" onclick="openEventRoster(this.dataset.eventId)">
+                <div class="event-header">
+                    <h4 class="event-name">${escapeHtml(event.eventName)}</h4>
+                    ${category}
+                    ${renderSafetyBadge(event)}
+                </div>
+                ${people('Scouts', event.scouts)}
+                ${people('Adults', event.adults)}
+            </div>
+        `;
+    }).join('');
+    
+    dayDetails.innerHTML = `
+        <h3 class="section-title">${formatDate(date)}</h3>
+        ${events.length > 0 ? `<div class="events-list">${eventItems}</div>` : '<p class="no-events">No events on this day</p>'}
+    `;
+    dayDetails.classList.remove('hidden');
+}
+
+/**
+ * Fills the category filter dropdown, keeping the current selection
+ */
+function renderCategoryFilter(categories, selected) {
+    const categorySelect = document.getElementById('eventCategoryFilter');
+    if (!categorySelect || !Array.isArray(categories)) return;
+    
+    categorySelect.innerHTML = `
+        <option value="">All categories</option>
+        ${categories.map(category => `
+            <option value="${escapeHtml(category)}" ${category === selected ? 'selected' : ''}>${escapeHtml(category)}</option>
+        `).join('')}
+    `;
+}
+
+/**
+ * Shows or hides the banner saying the data comes from a restored backup
+ * @param {string} mode - 'live', 'snapshot' or 'merged'
+ * @param {string} exportedAt - ISO timestamp of the backup
+ */
+function renderSnapshotBanner(mode, exportedAt) {
+    const banner = document.getElementById('snapshotBanner');
+    const bannerText = document.getElementById('snapshotBannerText');
+    if (!banner || !bannerText) return;
+    
+    if (mode === 'live' || !exportedAt) {
+        banner.classList.add('hidden');
+        return;
+    }
+    
+    const exported = new Date(exportedAt).toLocaleString('en-US', {
+        year: 'numeric',
+        month: 'short',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: '2-digit'
+    });
+    bannerText.textContent = mode === 'snapshot'
+        ? `📦 Viewing snapshot from ${exported} — this data will not refresh`
+        : `🔀 Viewing live sheet data merged with snapshot from ${exported}`;
+    banner.classList.remove('hidden');
+}
+
+/**
+ * Shows who is signed in, in the header
+ * @param {string} description - e.g. "troop (Leader)"
+ */
+function renderAccountBadge(description) {
+    const badge = document.getElementById('accountBadge');
+    if (!badge) return;
+    
+    badge.textContent = `👤 ${description}`;
+    badge.classList.remove('hidden');
+}
+
+/**
+ * Renders the "last updated" indicator in the header
+ * @param {string|null} updatedAt - ISO time the data was fetched (null hides the indicator)
+ * @param {Object} status - { refreshing, failed }
+ */
+function renderLastUpdated(updatedAt, status) {
+    const indicator = document.getElementById('lastUpdated');
+    if (!indicator) return;
+    
+    if (!updatedAt) {
+        indicator.classList.add('hidden');
+        return;
+    }
+    
+    const state = status || {};
+    const age = formatRelativeTime(updatedAt);
+    
+    if (state.refreshing) {
+        indicator.textContent = `🔄 Updated ${age} · refreshing...`;
+    } else if (state.failed) {
+        const retry = typeof state.retryInMs === 'number'
+            ? ` · retrying in ${Math.max(1, Math.ceil(state.retryInMs / 60000))} min`
+            : '';
+        indicator.textContent = `⚠️ Offline · showing data from ${age}${retry}`;
+    } else {
+        indicator.textContent = `✅ Updated ${age}`;
+    }
+    indicator.title = new Date(updatedAt).toLocaleString('en-US');
+    indicator.classList.toggle('stale', !!state.failed);
+    indicator.classList.remove('hidden');
+}
+
+/**
+ * Shows a short-lived notification, e.g. what changed after a refresh
+ * @param {string|Array<string>} messages - One line or several; long lists are trimmed
+ */
+function showToast(messages) {
+    const toastContainer = document.getElementById('toastContainer');
+    if (!toastContainer) return;
+    
+    const lines = Array.isArray(messages) ? messages : [messages];
+    const shown = lines.slice(0, 3);
+    if (lines.length > shown.length) {
+        shown.push(`…and ${lines.length - shown.length} more change(s)`);
+    }
+    
+    const toast = document.createElement('div');
+    toast.className = 'toast';
+    toast.setAttribute('role', 'status');
+    toast.innerHTML = shown.map(line => `<div>${escapeHtml(line)}</div>`).join('');
+    toast.onclick = () => toast.remove();
+    toastContainer.appendChild(toast);
+    
+    setTimeout(() => toast.remove(), 8000);
+}
+
+/**
+ * Formats how long ago a time was ("just now", "5 min ago", "3 h ago", "2 days ago")
+ */
+function formatRelativeTime(isoTime) {
+    const minutes = Math.floor((Date.now() - new Date(isoTime).getTime()) / 60000);
+    if (isNaN(minutes)) return 'at an unknown time';
+    if (minutes < 1) return 'just now';
+    if (minutes < 60) return `${minutes} min ago`;
+    
+    const hours = Math.floor(minutes / 60);
+    if (hours < 24) return `${hours} h ago`;
+    
+    const days = Math.floor(hours / 24);
+    return days === 1 ? '1 day ago' : `${days} days ago`;
+}
+
+/**
+ * Renders the troop-wide service hours summary
+ */
+function renderServiceHoursSummary(summary) {
+    const serviceSection = document.getElementById('serviceHoursSection');
+    const serviceContent = document.getElementById('serviceHoursContent');
+    if (!serviceSection || !serviceContent || !summary) return;
+    
+    const untimedNote = summary.untimedEvents > 0
+        ? `<p class="event-length">${summary.untimedEvents} service event(s) have no time window in their name and are not counted.</p>`
+        : '';
+    
+    if (summary.scouts.length === 0) {
+        serviceContent.innerHTML = `<p class="no-events">No completed service events yet</p>${untimedNote}`;
+        serviceSection.classList.remove('hidden');
+        return;
+    }
+    
+    const rows = summary.scouts.map(scout => `
+        <tr class="clickable" data-scout-name="${escapeHtml(scout.name)}" onclick="selectScout(this.dataset.scoutName)">
+            <td>${escapeHtml(scout.name)}</td>
+            <td>${formatHours(scout.hours)}</td>
+            <td>${scout.events}</td>
+        </tr>
+    `).join('');
+    
+    serviceContent.innerHTML = `
+        <div class="scout-stats">
+            <div class="stat-badge">
+                <span class="stat-number">${formatHours(summary.totalHours)}</span>
+                <span class="stat-label">Troop Service Hours</span>
+            </div>
+            <div class="stat-badge">
+                <span class="stat-number">${summary.scouts.length}</span>
+                <span class="stat-label">Scouts Serving</span>
+            </div>
+        </div>
+        ${untimedNote}
+        <div class="table-container service-hours-table">
+            <table class="data-table">
+                <thead>
+                    <tr>
+                        <th>Scout</th>
+                        <th>Service Hours</th>
+                        <th>Service Events</th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        </div>
+    `;
+    serviceSection.classList.remove('hidden');
+}
+
+/**
+ * Describes how long ago something was, e.g. "5 months" or "3 weeks"
+ */
+function formatTimeGone(days) {
+    if (days >= 60) return `${Math.floor(days / 30.44)} months`;
+    if (days >= 14) return `${Math.floor(days / 7)} weeks`;
+    return days === 1 ? '1 day' : `${days} days`;
+}
+
+/**
+ * Formats an attendance rate (0-1) as a percentage, or a dash when there is none
+ */
+function formatRate(rate) {
+    return rate === null ? '—' : `${Math.round(rate * 100)}%`;
+}
+
+/**
+ * Renders the inactive scouts report: who has stopped coming, and who is coming much less
+ * @param {Object} report - From Engagement.findInactiveScouts
+ * @param {number} months - Inactivity window
+ */
+function renderInactiveScouts(report, months) {
+    const inactiveSection = document.getElementById('inactiveSection');
+    const inactiveContent = document.getElementById('inactiveContent');
+    if (!inactiveSection || !inactiveContent || !report) return;
+    
+    const monthsInput = document.getElementById('inactiveMonths');
+    if (monthsInput) monthsInput.value = months;
+    
+    const countEl = document.getElementById('inactiveCount');
+    if (countEl) {
+        countEl.textContent = `${report.inactive.length} inactive, ${report.declining.length} dropping off`;
+    }
+    
+    const renderRows = scouts => scouts.map(scout => `
+        <tr class="clickable" data-scout-name="${escapeHtml(scout.name)}" onclick="selectScout(this.dataset.scoutName)">
+            <td>${escapeHtml(scout.name)}</td>
+            <td>${escapeHtml(scout.lastEvent)}<br><span class="event-length">${formatDate(scout.lastDate)}</span></td>
+            <td>${formatTimeGone(scout.daysGone)}</td>
+            <td>${scout.pastEvents}</td>
+            <td>${formatRate(scout.attendanceRate)}</td>
+            <td>${formatRate(scout.earlierRate)} → ${formatRate(scout.recentRate)}</td>
+            <td>${scout.upcomingEvents}</td>
+        </tr>
+    `).join('');
+    const renderTable = scouts => `
+        <div class="table-container service-hours-table">
+            <table class="data-table">
+                <thead>
+                    <tr>
+                        <th>Scout</th>
+                        <th>Last Event</th>
+                        <th>Gone For</th>
+                        <th>Past Events</th>
+                        <th>Attendance Rate</th>
+                        <th>Before → Last ${months} Mo.</th>
+                        <th>Upcoming</th>
+                    </tr>
+                </thead>
+                <tbody>${renderRows(scouts)}</tbody>
+            </table>
+        </div>
+    `;
+    
+    inactiveContent.innerHTML = `
+        <div class="events-section">
+            <h3 class="section-title past">😴 Not Seen Since ${formatDate(report.cutoffDate)} (${report.inactive.length})</h3>
+            ${report.inactive.length > 0
+                ? renderTable(report.inactive)
+                : '<p class="no-events">Every scout has been to an event recently or is signed up for one</p>'}
+        </div>
+        <div class="events-section">
+            <h3 class="section-title upcoming">📉 Coming Much Less Than Before (${report.declining.length})</h3>
+            <p class="event-length">Attendance rate is the share of troop events attended since their first one.</p>
+            ${report.declining.length > 0
+                ? renderTable(report.declining)
+                : '<p class="no-events">No scout\'s attendance has dropped sharply</p>'}
+        </div>
+    `;
+    inactiveSection.classList.remove('hidden');
+}
+
+/**
+ * Renders upcoming events that are short of adults
+ * @param {Array} understaffed - From Safeguards.findUnderstaffedEvents
+ * @param {number} maxScoutsPerAdult
+ */
+function renderSafeguards(understaffed, maxScoutsPerAdult) {
+    const safeguardSection = document.getElementById('safeguardSection');
+    const safeguardContent = document.getElementById('safeguardContent');
+    if (!safeguardSection || !safeguardContent) return;
+    
+    const ratioInput = document.getElementById('maxScoutsPerAdult');
+    if (ratioInput) ratioInput.value = maxScoutsPerAdult;
+    
+    const countEl = document.getElementById('safeguardCount');
+    if (countEl) {
+        countEl.textContent = `${understaffed.length} upcoming event(s) need more adults`;
+    }
+    
+    const rows = understaffed.map(entry => `
+        <tr class="clickable" data-event-id="${escapeHtml(entry.event.id)}" onclick="openEventRoster(this.dataset.eventId)">
+            <td>${escapeHtml(entry.event.eventName || 'Unnamed Event')}<br>${renderSafetyBadge(entry.event)}</td>
+            <td>${formatDate(entry.event.startDate)}</td>
+            <td>${entry.scouts}</td>
+            <td>${entry.adults}</td>
+            <td>${entry.adultsNeeded > 0 ? `+${entry.adultsNeeded}` : '-'}</td>
+            <td>${entry.issues.map(issue => escapeHtml(issue.message)).join('<br>')}</td>
+        </tr>
+    `).join('');
+    
+    safeguardContent.innerHTML = understaffed.length > 0 ? `
+        <div class="table-container service-hours-table">
+            <table class="data-table">
+                <thead>
+                    <tr>
+                        <th>Event</th>
+                        <th>Date</th>
+                        <th>Scouts</th>
+                        <th>Adults</th>
+                        <th>Adults Needed</th>
+                        <th>Problem</th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        </div>
+    ` : `<p class="no-events">Every upcoming event has at least ${window.Safeguards.MIN_ADULTS} adults and no more than ${maxScoutsPerAdult} scouts per adult</p>`;
+    safeguardSection.classList.remove('hidden');
+}
+
+/**
+ * Renders the rank requirement settings: the editable list and a form to add one
+ * @param {Array} requirements - From Requirements.loadRequirements
+ * @param {Array<string>} categories - Event categories a requirement can count
+ * @param {Array<string>} units - e.g. ['nights', 'hours', 'events']
+ */
+function renderRequirementsPanel(requirements, categories, units) {
+    const requirementsSection = document.getElementById('requirementsSection');
+    const requirementsSummary = document.getElementById('requirementsSummary');
+    const requirementsContent = document.getElementById('requirementsContent');
+    if (!requirementsSection || !requirementsSummary || !requirementsContent) return;
+    
+    requirementsSummary.textContent = `🎯 Rank requirements: ${requirements.length} tracked`;
+    
+    const unitOptions = selected => units.map(unit => `
+        <option value="${unit}"${unit === selected ? ' selected' : ''}>${unit}</option>
+    `).join('');
+    
+    const rows = requirements.map(requirement => `
+        <tr data-requirement-id="${escapeHtml(requirement.id)}">
+            <td><input type="text" class="filter-input" value="${escapeHtml(requirement.name)}" onchange="updateRequirementField(this.closest('tr').dataset.requirementId, 'name', this.value)"></td>
+            <td>${escapeHtml(requirement.categories.length > 0 ? requirement.categories.join(', ') : 'All events')}</td>
+            <td><select class="filter-input" onchange="updateRequirementField(this.closest('tr').dataset.requirementId, 'unit', this.value)">${unitOptions(requirement.unit)}</select></td>
+            <td><input type="number" class="filter-input requirement-target" min="1" step="any" value="${requirement.target}" onchange="updateRequirementField(this.closest('tr').dataset.requirementId, 'target', this.value)"></td>
+            <td><button class="btn-clear" onclick="removeRankRequirement(this.closest('tr').dataset.requirementId)">Remove</button></td>
+        </tr>
+    `).join('');
+    
+    requirementsContent.innerHTML = `
+        <div class="quality-block">
+            <h4 class="quality-title">Tracked requirements (${requirements.length})</h4>
+            <p class="event-length">Progress counts past events in the listed categories. Nights come from event dates, hours from event time windows.</p>
+            ${requirements.length > 0
+                ? `<div class="table-container">
+                    <table class="data-table">
+                        <thead><tr><th>Requirement</th><th>Counts</th><th>Unit</th><th>Target</th><th></th></tr></thead>
+                        <tbody>${rows}</tbody>
+                    </table>
+                </div>`
+                : '<p class="event-length">No requirements tracked.</p>'}
+        </div>
+        <div class="quality-block">
+            <h4 class="quality-title">Add a requirement</h4>
+            <div class="event-filters">
+                <input type="text" id="requirementNameInput" class="filter-input" placeholder="Name (e.g. Second Class: Campouts)">
+                <select id="requirementCategoryInput" class="filter-input" multiple size="${Math.min(categories.length, 5)}" title="Leave empty to count every event">
+                    ${categories.map(category => `<option value="${escapeHtml(category)}">${escapeHtml(category)}</option>`).join('')}
+                </select>
+                <select id="requirementUnitInput" class="filter-input">${unitOptions('events')}</select>
+                <input type="number" id="requirementTargetInput" class="filter-input requirement-target" min="1" step="any" placeholder="Target">
+                <button class="btn btn-secondary btn-small" onclick="addRequirementFromForm()">Add</button>
+            </div>
+            <p class="event-length">Pick no categories to count every event.</p>
+        </div>
+        <div class="event-filters">
+            <button class="btn btn-secondary btn-small" onclick="resetRankRequirements()">↺ Restore Defaults</button>
+        </div>
+    `;
+    requirementsSection.classList.remove('hidden');
+}
+
+/**
+ * Renders the category rules: the ordered rule table, an add form and events tagged by hand
+ * @param {Array} rules - From CategoryRules.listRules
+ * @param {Array<string>} tags - Tags in use, suggested in the add form
+ * @param {Array} overriddenEvents - Events whose tags were set by hand
+ * @param {Array} orphanedOverrides - Hand-set tags whose event is gone, from CategoryRules.listOrphanedOverrides
+ * @param {boolean} deviceRules - The rules were edited on this device rather than shared
+ */
+function renderCategoryRulesPanel(rules, tags, overriddenEvents, orphanedOverrides, deviceRules) {
+    const rulesSection = document.getElementById('categoryRulesSection');
+    const rulesSummary = document.getElementById('categoryRulesSummary');
+    const rulesContent = document.getElementById('categoryRulesContent');
+    if (!rulesSection || !rulesSummary || !rulesContent) return;
+    
+    rulesSummary.textContent = `🏷️ Category rules: ${rules.length} rule(s)` +
+        (overriddenEvents.length > 0 ? ` · ${overriddenEvents.length} event(s) tagged by hand` : '') +
+        (orphanedOverrides.length > 0 ? ` · ${orphanedOverrides.length} without an event` : '');
+    
+    const ruleRows = rules.map((rule, index) => `
+        <tr data-rule-id="${escapeHtml(rule.id)}">
+            <td>${index + 1}</td>
+            <td><code>${escapeHtml(rule.pattern)}</code>${rule.regex ? ' <span class="event-length">(regex)</span>' : ''}</td>
+            <td>${rule.tags.map(tag => `<span class="event-category">${escapeHtml(tag)}</span>`).join(' ')}</td>
+            <td class="alias-actions">
+                <button class="btn-clear" onclick="moveCategoryRule(this.closest('tr').dataset.ruleId, -1)"${index === 0 ? ' disabled' : ''} aria-label="Move up">↑</button>
+                <button class="btn-clear" onclick="moveCategoryRule(this.closest('tr').dataset.ruleId, 1)"${index === rules.length - 1 ? ' disabled' : ''} aria-label="Move down">↓</button>
+                <button class="btn-clear" onclick="removeCategoryRule(this.closest('tr').dataset.ruleId)">Remove</button>
+            </td>
+        </tr>
+    `).join('');
+    
+    const overrideItems = overriddenEvents.map(event => `
+        <li class="alias-suggestion" data-event-id="${escapeHtml(event.id)}" data-override-id="${escapeHtml(event.tagsOverrideId)}">
+            <span class="clickable" onclick="openEventRoster(this.closest('li').dataset.eventId)">
+                <strong>${escapeHtml(event.eventName)}</strong> <span class="event-length">${formatDate(event.startDate)}</span>
+                ${renderTagBadges(event)}
+            </span>
+            <button class="btn-clear" onclick="clearEventTags(this.closest('li').dataset.overrideId)">Use Rules</button>
+        </li>
+    `).join('');
+    
+    // Overrides keyed to an event id that no longer exists, usually because the event was renamed
+    const orphanItems = orphanedOverrides.map(override => `
+        <li class="alias-suggestion" data-override-id="${escapeHtml(override.id)}">
+            <span>
+                <strong>${escapeHtml(override.eventName)}</strong> <span class="event-length">${override.startDate ? formatDate(override.startDate) : ''}</span>
+                ${override.tags.map(tag => `<span class="event-category">${escapeHtml(tag)}</span>`).join(' ')}
+            </span>
+            <button class="btn-clear" onclick="clearEventTags(this.closest('li').dataset.overrideId)">Remove</button>
+        </li>
+    `).join('');
+    
+    rulesContent.innerHTML = `
+        <div class="quality-block">
+            <h4 class="quality-title">Rules (${rules.length})</h4>
+            <p class="event-length">Every rule whose pattern appears in an event name adds its tags, in this order. Events no rule matches are tagged Other. A one-day event tagged Overnight counts as a camping night.</p>
+            <p class="event-length">${deviceRules
+                ? 'These rules were edited on this device only. To share them, export them and replace DEFAULT_CATEGORY_CONFIG in js/categoryConfig.js with the file.'
+                : 'These are the shared rules from js/categoryConfig.js. Edits made here stay on this device until exported and added there.'}</p>
+            ${rules.length > 0
+                ? `<div class="table-container">
+                    <table class="data-table">
+                        <thead><tr><th>#</th><th>Pattern</th><th>Tags</th><th></th></tr></thead>
+                        <tbody>${ruleRows}</tbody>
+                    </table>
+                </div>`
+                : '<p class="event-length">No rules - every event is tagged Other.</p>'}
+        </div>
+        <div class="quality-block">
+            <h4 class="quality-title">Add a rule</h4>
+            <div class="event-filters">
+                <input type="text" id="rulePatternInput" class="filter-input" placeholder="Pattern (e.g. campout or \bhike\b)">
+                <label class="filter-label">
+                    <input type="checkbox" id="ruleRegexInput">
+                    Regex
+                </label>
+                <input type="text" id="ruleTagsInput" class="filter-input" list="ruleTagOptions" placeholder="Tags, comma-separated (e.g. Camping, Hiking)">
+                <datalist id="ruleTagOptions">${tags.map(tag => `<option value="${escapeHtml(tag)}"></option>`).join('')}</datalist>
+                <button class="btn btn-secondary btn-small" onclick="addCategoryRuleFromForm()">Add</button>
+            </div>
+        </div>
+        <div class="quality-block">
+            <h4 class="quality-title">Tagged by hand (${overriddenEvents.length})</h4>
+            ${overriddenEvents.length > 0
+                ? `<ul class="roster-list">${overrideItems}</ul>`
+                : '<p class="event-length">Open an event to set its tags by hand.</p>'}
+        </div>
+        ${orphanedOverrides.length > 0 ? `
+            <div class="quality-block">
+                <h4 class="quality-title">Tagged by hand, event not found (${orphanedOverrides.length})</h4>
+                <p class="event-length">These events were renamed or removed from the sheet. Open the renamed event to tag it again, then remove the old tags.</p>
+                <ul class="roster-list">${orphanItems}</ul>
+            </div>
+        ` : ''}
+        <div class="event-filters">
+            <button class="btn btn-secondary btn-small" onclick="window.CategoryRules.exportRules()">💾 Export Rules</button>
+            <label class="btn btn-secondary btn-small">
+                📂 Import Rules
+                <input type="file" accept="application/json,.json" class="hidden" onchange="importCategoryRulesFile(this)">
+            </label>
+            ${deviceRules ? '<button class="btn btn-secondary btn-small" onclick="resetCategoryRules()">↺ Use Shared Rules</button>' : ''}
+        </div>
+    `;
+    rulesSection.classList.remove('hidden');
+}
+
+/**
+ * Renders the data-quality panel shown after each load
+ */
+function renderDataQualityReport(report) {
+    const qualitySection = document.getElementById('dataQualitySection');
+    const qualitySummary = document.getElementById('dataQualitySummary');
+    const qualityContent = document.getElementById('dataQualityContent');
+    if (!qualitySection || !qualitySummary || !qualityContent || !report) return;
+    
+    const issueCount = window.DataQuality.countIssues(report);
+    const imported = report.totalRows - report.skippedRows.length;
+    qualitySummary.textContent = issueCount === 0
+        ? `✅ Data quality: all ${report.totalRows} signups imported cleanly`
+        : `⚠️ Data quality: ${issueCount} issue(s) found · ${imported} of ${report.totalRows} signups imported`;
+    qualitySection.classList.toggle('has-issues', issueCount > 0);
+    
+    const rowList = rows => rows.join(', ');
+    const tableBlock = (title, headers, rows, emptyText) => `
+        <div class="quality-block">
+            <h4 class="quality-title">${title} (${rows.length})</h4>
+            ${rows.length === 0
+                ? `<p class="event-length">${emptyText}</p>`
+                : `<div class="table-container">
+                    <table class="data-table">
+                        <thead><tr>${headers.map(header => `<th>${header}</th>`).join('')}</tr></thead>
+                        <tbody>${rows.join('')}</tbody>
+                    </table>
+                </div>`}
+        </div>
+    `;
+    
+    const skippedRows = report.skippedRows.map(item => `
+        <tr>
+            <td>${escapeHtml(item.row)}</td>
+            <td>${escapeHtml(item.reasons.join('; '))}</td>
+            <td>${escapeHtml(item.eventText || '—')}</td>
+            <td>${escapeHtml(item.name || '—')}</td>
+        </tr>
+    `);
+    const nameIssues = report.nameIssues.map(item => `
+        <tr>
+            <td>"${escapeHtml(item.name)}"</td>
+            <td>${escapeHtml(item.problems.join('; '))}</td>
+            <td>${rowList(item.rows)}</td>
+        </tr>
+    `);
+    const undatedEvents = report.undatedEvents.map(item => `
+        <tr>
+            <td>${escapeHtml(item.eventText)}</td>
+            <td>${item.rows.length}</td>
+            <td>${rowList(item.rows)}</td>
+        </tr>
+    `);
+    const overlap = report.scoutAdultOverlap.map(item => `
+        <tr>
+            <td>${escapeHtml(item.name)}</td>
+            <td>${escapeHtml(item.scoutEvents.join(', '))}</td>
+            <td>${escapeHtml(item.adultEvents.join(', '))}</td>
+        </tr>
+    `);
+    
+    const failedSources = report.failedSources.map(item => `
+        <tr>
+            <td>${escapeHtml(item.source.label)}</td>
+            <td>${escapeHtml(item.message)}</td>
+        </tr>
+    `);
+    
+    qualityContent.innerHTML = `
+        ${failedSources.length > 0 ? tableBlock('Sheet tabs that failed to load', ['Source', 'Error'], failedSources, '') : ''}
+        ${tableBlock('Skipped rows', ['Sheet Row', 'Reason', 'Event', 'Name'], skippedRows, 'No rows were skipped.')}
+        ${tableBlock('Events with unreadable dates', ['Event Text', 'Signups', 'Sheet Rows'], undatedEvents, 'Every event date was understood.')}
+        ${tableBlock('Names to check', ['Name', 'Problem', 'Sheet Rows'], nameIssues, 'No odd casing or stray characters found.')}
+        ${tableBlock('Listed as both scout and adult', ['Name', 'As Scout', 'As Adult'], overlap, 'Nobody is listed in both roles.')}
+    `;
+    qualitySection.classList.remove('hidden');
+}
+
+/**
+ * Renders the name alias panel: duplicate suggestions, manual merge and the alias table
+ * @param {Array} suggestions - [{ nameA, nameB, score }] from Aliases.suggestDuplicates
+ * @param {Array} aliases - [{ variant, canonical }] from Aliases.listAliases
+ * @param {Array<string>} peopleNames - Every current name, for the merge form autocomplete
+ */
+function renderAliasPanel(suggestions, aliases, peopleNames) {
+    const aliasSection = document.getElementById('aliasSection');
+    const aliasSummary = document.getElementById('aliasSummary');
+    const aliasContent = document.getElementById('aliasContent');
+    if (!aliasSection || !aliasSummary || !aliasContent) return;
+    
+    aliasSummary.textContent = `🪪 Name aliases: ${aliases.length} confirmed` +
+        (suggestions.length > 0 ? ` · ${suggestions.length} possible duplicate(s) to review` : '');
+    
+    const suggestionItems = suggestions.map(suggestion => `
+        <li class="alias-suggestion" data-name-a="${escapeHtml(suggestion.nameA)}" data-name-b="${escapeHtml(suggestion.nameB)}">
+            <span><strong>${escapeHtml(suggestion.nameA)}</strong> ↔ <strong>${escapeHtml(suggestion.nameB)}</strong>
+                <span class="event-length">(${Math.round(suggestion.score * 100)}% similar)</span></span>
+            <span class="alias-actions">
+                <button class="btn-clear" onclick="mergeNames(this.closest('li').dataset.nameB, this.closest('li').dataset.nameA)">Keep "${escapeHtml(suggestion.nameA)}"</button>
+                <button class="btn-clear" onclick="mergeNames(this.closest('li').dataset.nameA, this.closest('li').dataset.nameB)">Keep "${escapeHtml(suggestion.nameB)}"</button>
+                <button class="btn-clear" onclick="dismissNameSuggestion(this.closest('li').dataset.nameA, this.closest('li').dataset.nameB)">Different people</button>
+            </span>
+        </li>
+    `).join('');
+    
+    const aliasRows = aliases.map(alias => `
+        <tr>
+            <td>${escapeHtml(alias.variant)}</td>
+            <td>${escapeHtml(alias.canonical)}</td>
+            <td><button class="btn-clear" data-variant="${escapeHtml(alias.variant)}" onclick="removeNameAlias(this.dataset.variant)">Remove</button></td>
+        </tr>
+    `).join('');
+    
+    const nameOptions = [...new Set(peopleNames || [])]
+        .sort((a, b) => a.localeCompare(b))
+        .map(name => `<option value="${escapeHtml(name)}"></option>`)
+        .join('');
+    
+    aliasContent.innerHTML = `
+        <div class="quality-block">
+            <h4 class="quality-title">Possible duplicates (${suggestions.length})</h4>
+            ${suggestions.length > 0
+                ? `<ul class="roster-list">${suggestionItems}</ul>`
+                : '<p class="event-length">No likely duplicates found.</p>'}
+        </div>
+        <div class="quality-block">
+            <h4 class="quality-title">Merge two names</h4>
+            <div class="event-filters">
+                <input type="text" id="aliasVariantInput" class="filter-input" list="aliasNameOptions" placeholder="Name variant (e.g. Robert Smith)">
+                <span class="event-length">is the same person as</span>
+                <input type="text" id="aliasCanonicalInput" class="filter-input" list="aliasNameOptions" placeholder="Name to keep (e.g. Bob Smith)">
+                <button class="btn btn-secondary btn-small" onclick="mergeNamesFromForm()">Merge</button>
+            </div>
+            <datalist id="aliasNameOptions">${nameOptions}</datalist>
+        </div>
+        <div class="quality-block">
+            <h4 class="quality-title">Confirmed aliases (${aliases.length})</h4>
+            ${aliases.length > 0
+                ? `<div class="table-container">
+                    <table class="data-table">
+                        <thead><tr><th>Variant</th><th>Shown As</th><th></th></tr></thead>
+                        <tbody>${aliasRows}</tbody>
+                    </table>
+                </div>`
+                : '<p class="event-length">No aliases yet.</p>'}
+        </div>
+        <div class="event-filters">
+            <button class="btn btn-secondary btn-small" onclick="window.Aliases.exportAliases()">💾 Export Aliases</button>
+            <label class="btn btn-secondary btn-small">
+                📂 Import Aliases
+                <input type="file" accept="application/json,.json" class="hidden" onchange="importAliasFile(this)">
+            </label>
+        </div>
+    `;
+    aliasSection.classList.remove('hidden');
+}
+
+/**
+ * Renders the "what's changed" panel: signups added/dropped per event and events
+ * added, removed or rescheduled since an earlier snapshot
+ * @param {Object|null} diff - From EventDiff.diffEvents, or null if there is nothing to compare with
+ * @param {Array} snapshots - [{ id, savedAt, eventCount }] from ChangeLog.listSnapshots (newest first)
+ * @param {number|null} baselineId - The snapshot being compared against
+ */
+function renderChangeLog(diff, snapshots, baselineId) {
+    const changeLogSection = document.getElementById('changeLogSection');
+    const changeLogSummary = document.getElementById('changeLogSummary');
+    const changeLogContent = document.getElementById('changeLogContent');
+    if (!changeLogSection || !changeLogSummary || !changeLogContent) return;
+    
+    const baseline = (snapshots || []).find(snapshot => snapshot.id === baselineId);
+    const savedAtText = snapshot => new Date(snapshot.savedAt).toLocaleString('en-US', {
+        month: 'short',
+        day: 'numeric',
+        year: 'numeric',
+        hour: 'numeric',
+        minute: '2-digit'
+    });
+    
+    const snapshotOptions = (snapshots || []).map(snapshot => `
+        <option value="${snapshot.id}" ${snapshot.id === baselineId ? 'selected' : ''}>
+            ${escapeHtml(savedAtText(snapshot))} (${snapshot.eventCount} events)
+        </option>
+    `).join('');
+    const picker = snapshotOptions
+        ? `<div class="event-filters">
+            <label for="changeLogBaseline" class="event-length">Compare with</label>
+            <select id="changeLogBaseline" class="filter-input" onchange="selectChangeLogBaseline(this.value)">
+                ${baseline ? '' : '<option value="" selected>Choose a snapshot</option>'}
+                ${snapshotOptions}
+            </select>
+        </div>`
+        : '';
+    
+    if (!diff || !baseline) {
+        changeLogSummary.textContent = '🕘 What\'s changed: nothing to compare with yet';
+        changeLogContent.innerHTML = `
+            ${picker}
+            <p class="event-length">A snapshot is saved each time new data loads. Changes since this visit will show here next time.</p>
+        `;
+        changeLogSection.classList.remove('hidden');
+        return;
+    }
+    
+    const changeCount = diff.addedEvents.length + diff.removedEvents.length +
+        diff.rescheduledEvents.length + diff.changedEvents.length;
+    changeLogSummary.textContent = changeCount === 0
+        ? `🕘 What's changed: nothing since ${savedAtText(baseline)}`
+        : `🕘 What's changed: ${changeCount} event(s) changed since ${savedAtText(baseline)}`;
+    
+    const eventDates = event => event.endDate && event.endDate !== event.startDate
+        ? `${formatDate(event.startDate)} - ${formatDate(event.endDate)}`
+        : formatDate(event.startDate);
+    const nameList = (names, className) => names.length > 0
+        ? `<span class="${className}">${names.map(escapeHtml).join(', ')}</span>`
+        : '—';
+    const peopleCells = people => `
+        <td>${people ? nameList(people.addedScouts, 'change-added') : '—'}</td>
+        <td>${people ? nameList(people.removedScouts, 'change-removed') : '—'}</td>
+        <td>${people ? nameList(people.addedAdults, 'change-added') : '—'}</td>
+        <td>${people ? nameList(people.removedAdults, 'change-removed') : '—'}</td>
+    `;
+    const eventCell = event => `
+        <td><a href="#" data-event-id="${escapeHtml(event.id)}" onclick="openEventRoster(this.dataset.eventId); return false;">${escapeHtml(event.eventName)}</a>
+            <div class="event-length">${eventDates(event)}</div></td>
+    `;
+    
+    const signupRows = diff.changedEvents.map(change => `
+        <tr>${eventCell(change.event)}${peopleCells(change)}</tr>
+    `);
+    const addedRows = diff.addedEvents.map(event => `
+        <tr>${eventCell(event)}<td>${event.scouts.length}</td><td>${event.adults.length}</td></tr>
+    `);
+    const rescheduledRows = diff.rescheduledEvents.map(move => `
+        <tr>${eventCell(move.to)}<td>${eventDates(move.from)}</td><td>${eventDates(move.to)}</td></tr>
+    `);
+    const removedRows = diff.removedEvents.map(event => `
+        <tr><td>${escapeHtml(event.eventName)}</td><td>${eventDates(event)}</td><td>${event.scouts.length + event.adults.length}</td></tr>
+    `);
+    
+    const tableBlock = (title, headers, rows, emptyText) => `
+        <div class="quality-block">
+            <h4 class="quality-title">${title} (${rows.length})</h4>
+            ${rows.length === 0
+                ? `<p class="event-length">${emptyText}</p>`
+                : `<div class="table-container">
+                    <table class="data-table">
+                        <thead><tr>${headers.map(header => `<th>${header}</th>`).join('')}</tr></thead>
+                        <tbody>${rows.join('')}</tbody>
+                    </table>
+                </div>`}
+        </div>
+    `;
+    
+    changeLogContent.innerHTML = `
+        ${picker}
+        ${tableBlock('Signup changes', ['Event', 'Scouts Added', 'Scouts Dropped', 'Adults Added', 'Adults Dropped'], signupRows, 'No signups added or dropped.')}
+        ${tableBlock('New events', ['Event', 'Scouts', 'Adults'], addedRows, 'No new events.')}
+        ${tableBlock('Rescheduled events', ['Event', 'Was', 'Now'], rescheduledRows, 'No events moved.')}
+        ${tableBlock('Removed events', ['Event', 'Dates', 'Signups'], removedRows, 'No events removed.')}
+    `;
+    changeLogSection.classList.remove('hidden');
+}
+
+/**
+ * Fills the print-only board of review report for a scout
+ * @param {string} scoutName
+ * @param {Array} events - The scout's past events within the period
+ * @param {Object} period - { startDate, endDate } (YYYY-MM-DD; an empty start means all history)
+ */
+function renderScoutReport(scoutName, events, period) {
+    const report = document.getElementById('printReport');
+    if (!report) return;
+    
+    const sorted = [...(events || [])].sort((a, b) => String(a.startDate).localeCompare(String(b.startDate)));
+    const totalDays = sorted.reduce((days, event) => days + window.HistoryManager.getEventDays(event.startDate, event.endDate), 0);
+    const campingNights = window.HistoryManager.getCampingNights(sorted);
+    const serviceHours = window.ServiceHours.getServiceHours(sorted);
+    
+    // Tags in the usual category order, then any others; an event is listed under each of its tags
+    const categories = window.GoogleSheet.EVENT_CATEGORIES
+        .concat(sorted.flatMap(event => window.CategoryRules.getEventTags(event)))
+        .filter((category, index, list) => list.indexOf(category) === index)
+        .filter(category => sorted.some(event => window.CategoryRules.hasTag(event, category)));
+    
+    const eventDates = event => event.endDate && event.endDate !== event.startDate
+        ? `${formatDate(event.startDate)} - ${formatDate(event.endDate)}`
+        : formatDate(event.startDate);
+    
+    const categoryTables = categories.map(category => {
+        const categoryEvents = sorted.filter(event => window.CategoryRules.hasTag(event, category));
+        const rows = categoryEvents.map(event => `
+            <tr>
+                <td>${eventDates(event)}</td>
+                <td>${escapeHtml(event.eventName)}</td>
+                <td>${window.HistoryManager.getEventDays(event.startDate, event.endDate)}</td>
+                <td>${typeof event.durationHours === 'number' ? formatHours(event.durationHours) : ''}</td>
+            </tr>
+        `).join('');
+        return `
+            <h3>${escapeHtml(category)} (${categoryEvents.length})</h3>
+            <table>
+                <thead><tr><th>Date</th><th>Event</th><th>Days</th><th>Hours</th></tr></thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+    }).join('');
+    
+    const periodText = period.startDate
+        ? `${formatDate(period.startDate)} - ${formatDate(period.endDate)}`
+        : `All recorded events through ${formatDate(period.endDate)}`;
+    
+    report.innerHTML = `
+        <header class="report-header">
+            <p class="report-troop">Troop 132</p>
+            <h1>Scout Activity Report</h1>
+            <h2>${escapeHtml(scoutName)}</h2>
+            <p>${periodText}</p>
+        </header>
+        <div class="report-totals">
+            <div><strong>${sorted.length}</strong> events</div>
+            <div><strong>${totalDays}</strong> total days</div>
+            <div><strong>${campingNights}</strong> camping nights</div>
+            <div><strong>${formatHours(serviceHours.hours)}</strong> service hours</div>
+        </div>
+        ${serviceHours.untimedEvents > 0
+            ? `<p class="report-note">${serviceHours.untimedEvents} service event(s) had no time window and are not included in service hours.</p>`
+            : ''}
+        ${categoryTables || '<p>No events in this period.</p>'}
+        <div class="report-signatures">
+            <div><span class="signature-line"></span>Scoutmaster</div>
+            <div><span class="signature-line"></span>Date</div>
+        </div>
+        <p class="report-note">Generated ${formatDate(window.HistoryManager.toLocalDateString())} from the T132 Event Database.</p>
+    `;
+}
+
+/**
+ * CSV / XLSX download buttons calling an export function with the format
+ * @param {string} exportFunction - Global function name, e.g. 'exportEventRoster'
+ * @param {string} [extraButtons] - More buttons (HTML) for the same row
+ */
+function renderExportButtons(exportFunction, extraButtons) {
+    return `
+        <div class="export-buttons">
+            <button class="btn-clear" onclick="${exportFunction}('csv')">⬇️ CSV</button>
+            <button class="btn-clear" onclick="${exportFunction}('xlsx')">⬇️ Excel</button>
+            ${extraButtons || ''}
+        </div>
+    `;
+}
+
+/**
+ * Badges for each of an event's tags
+ */
+function renderTagBadges(event) {
+    const tags = window.CategoryRules.getEventTags(event);
+    if (tags.length === 0) return '';
+    return `<span class="event-tags">${tags.map(tag => `<span class="event-category">${escapeHtml(tag)}</span>`).join('')}</span>`;
+}
+
+/**
+ * Warning badge for an upcoming event that fails a safeguard check (empty when staffed)
+ */
+function renderSafetyBadge(event) {
+    const issues = Array.isArray(event.safetyIssues) ? event.safetyIssues : [];
+    if (issues.length === 0) return '';
+    
+    const label = issues.some(issue => issue.code === 'no-adults') ? 'No adults' : 'Under-staffed';
+    return `<span class="safety-badge" title="${escapeHtml(issues.map(issue => issue.message).join('; '))}">⚠️ ${label}</span>`;
+}
+
+/**
+ * Describes an event's length, e.g. "3 days" or "1 day · 2 hrs"
+ */
+function formatEventLength(event) {
+    const days = window.HistoryManager.getEventDays(event.startDate, event.endDate);
+    const dayText = days === 1 ? '1 day' : (days > 1 ? `${days} days` : '');
+    const hourText = typeof event.durationHours === 'number'
+        ? `${formatHours(event.durationHours)} ${event.durationHours === 1 ? 'hr' : 'hrs'}`
+        : '';
+    
+    return [dayText, hourText].filter(Boolean).join(' · ');
+}
+
+/**
+ * Formats an hour total without trailing zeros (2, 2.5, 2.25)
+ */
+function formatHours(hours) {
+    return String(Math.round((hours || 0) * 100) / 100);
+}
+
+/**
+ * Formats an HH:MM time as "2:00 PM"
+ */
+function formatTime(timeString) {
+    const match = String(timeString || '').match(/^(\d{2}):(\d{2})$/);
+    if (!match) return timeString || '';
+    
+    const hour = Number(match[1]);
+    const suffix = hour >= 12 ? 'PM' : 'AM';
+    return `${hour % 12 || 12}:${match[2]} ${suffix}`;
+}
+
+/**
+ * Escapes a value for safe insertion into HTML
+ */
+function escapeHtml(value) {
+    return String(value === null || value === undefined ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
 /**
  * Formats a date string for display
  */
@@ -274,7 +1627,7 @@ function formatDate(dateString) {
     if (!dateString) return '—';
     
     try {
-        const date = new Date(dateString);
+        const date = window.HistoryManager.parseLocalDate(dateString);
         if (isNaN(date.getTime())) return dateString;
         
         return date.toLocaleDateString('en-US', {
@@ -291,8 +1644,9 @@ function formatDate(dateString) {
  * Renders statistics overview
  * FIXED: Separates scouts from adults, counts each separately with deduplication
  * FIXED: Counts unique scouts/adults across ALL events (not per event)
+ * @param {Array} patrolSummary - From Patrols.summarizePatrols, shown as a patrol breakdown
  */
-function renderStatistics(futureEvents, pastEvents) {
+function renderStatistics(futureEvents, pastEvents, patrolSummary) {
     // Count unique scouts using Set (excludes adults)
     // FIXED: Count across all events, not per event (no duplicates)
     const uniqueScouts = new Set();
@@ -351,6 +1705,162 @@ function renderStatistics(futureEvents, pastEvents) {
     if (totalAdultsEl) totalAdultsEl.textContent = uniqueAdults.size;
     if (totalFutureEventsEl) totalFutureEventsEl.textContent = Array.isArray(futureEvents) ? futureEvents.length : 0;
     if (totalPastEventsEl) totalPastEventsEl.textContent = Array.isArray(pastEvents) ? pastEvents.length : 0;
+    
+    // Upcoming events failing a safeguard check
+    const understaffedEl = document.getElementById('understaffedEvents');
+    if (understaffedEl) {
+        const understaffed = (futureEvents || []).filter(event => Array.isArray(event.safetyIssues) && event.safetyIssues.length > 0).length;
+        understaffedEl.textContent = understaffed;
+        understaffedEl.closest('.stat-card').classList.toggle('stat-card-warning', understaffed > 0);
+    }
+    
+    renderPatrolBreakdown(patrolSummary);
+}
+
+/**
+ * Renders attendance per patrol; picking a patrol lists its members in the scout search
+ */
+function renderPatrolBreakdown(patrolSummary) {
+    const patrolSection = document.getElementById('patrolStatsSection');
+    const patrolContent = document.getElementById('patrolStatsContent');
+    if (!patrolSection || !patrolContent) return;
+    
+    // Older sheets and backups have no patrols; leave the section out
+    if (!Array.isArray(patrolSummary) || patrolSummary.length === 0) {
+        patrolContent.innerHTML = '';
+        patrolSection.classList.add('hidden');
+        return;
+    }
+    
+    const rows = patrolSummary.map(entry => `
+        <tr class="clickable" data-patrol="${escapeHtml(entry.patrol)}" onclick="showPatrolMembers(this.dataset.patrol)">
+            <td>${escapeHtml(entry.patrol)}</td>
+            <td>${entry.members}</td>
+            <td>${entry.pastSignups}</td>
+            <td>${entry.upcomingSignups}</td>
+            <td>${entry.eventsPerMember}</td>
+        </tr>
+    `).join('');
+    
+    patrolContent.innerHTML = `
+        <div class="table-container service-hours-table">
+            <table class="data-table">
+                <thead>
+                    <tr>
+                        <th>Patrol</th>
+                        <th>Members</th>
+                        <th>Past Signups</th>
+                        <th>Upcoming Signups</th>
+                        <th>Past Events per Member</th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        </div>
+    `;
+    patrolSection.classList.remove('hidden');
+}
+
+/**
+ * Renders the analytics dashboard: range controls, headline numbers and charts
+ * @param {Object} dashboard - From Analytics.buildDashboard
+ * @param {Array} programYears - From Analytics.getProgramYears
+ * @param {Object} range - { year, startDate, endDate } year is '' for all time or 'custom'
+ */
+function renderAnalytics(dashboard, programYears, range) {
+    const analyticsSection = document.getElementById('analyticsSection');
+    const analyticsContent = document.getElementById('analyticsContent');
+    if (!analyticsSection || !analyticsContent || !dashboard) return;
+    
+    const yearSelect = document.getElementById('analyticsYear');
+    if (yearSelect) {
+        yearSelect.innerHTML = '<option value="">All time</option>'
+            + (range.year === 'custom' ? '<option value="custom">Custom range</option>' : '')
+            + programYears.map(year => `<option value="${year.value}">Program year ${year.label}</option>`).join('');
+        yearSelect.value = range.year;
+    }
+    const startInput = document.getElementById('analyticsStart');
+    const endInput = document.getElementById('analyticsEnd');
+    if (startInput) startInput.value = range.startDate;
+    if (endInput) endInput.value = range.endDate;
+    
+    const countEl = document.getElementById('analyticsCount');
+    if (countEl) {
+        countEl.textContent = `${dashboard.eventCount} event(s)`;
+    }
+    
+    if (dashboard.eventCount === 0) {
+        analyticsContent.innerHTML = '<p class="no-events">No events in this range</p>';
+        analyticsSection.classList.remove('hidden');
+        return;
+    }
+    
+    const months = dashboard.months;
+    const labels = months.map(month => month.label);
+    const newScouts = months.reduce((sum, month) => sum + month.newScouts, 0);
+    const mix = dashboard.mix;
+    
+    analyticsContent.innerHTML = `
+        <div class="scout-stats">
+            <div class="stat-badge">
+                <span class="stat-number">${dashboard.eventCount}</span>
+                <span class="stat-label">Events</span>
+            </div>
+            <div class="stat-badge">
+                <span class="stat-number">${mix.scoutSignups + mix.adultSignups}</span>
+                <span class="stat-label">Signups</span>
+            </div>
+            <div class="stat-badge">
+                <span class="stat-number">${mix.scouts}</span>
+                <span class="stat-label">Scouts Taking Part</span>
+            </div>
+            <div class="stat-badge">
+                <span class="stat-number">${newScouts}</span>
+                <span class="stat-label">New Scouts</span>
+            </div>
+        </div>
+        <div class="chart-grid">
+            <div class="chart-card">
+                <h3 class="chart-title">Events per Month</h3>
+                ${window.Charts.columnChart(months.map(month => ({ label: month.label, value: month.events })), 'Events per month')}
+            </div>
+            <div class="chart-card">
+                <h3 class="chart-title">Average Attendance per Event</h3>
+                ${window.Charts.lineChart(labels, [
+                    { name: 'Scouts', values: months.map(month => month.averageScouts), className: 'chart-scouts' },
+                    { name: 'Adults', values: months.map(month => month.averageAdults), className: 'chart-adults' }
+                ], 'Average scouts and adults per event by month')}
+                <p class="chart-legend">
+                    <span class="chart-key chart-scouts"></span>Scouts
+                    <span class="chart-key chart-adults"></span>Adults
+                </p>
+            </div>
+            <div class="chart-card">
+                <h3 class="chart-title">Signups by Category</h3>
+                ${window.Charts.barList(dashboard.categories.map(category => ({
+                    label: category.category,
+                    value: category.signups,
+                    detail: `(${category.events} event${category.events === 1 ? '' : 's'})`
+                })), 'Signups by event category')}
+            </div>
+            <div class="chart-card">
+                <h3 class="chart-title">New Scouts (First Event) per Month</h3>
+                ${window.Charts.columnChart(months.map(month => ({ label: month.label, value: month.newScouts })), 'New scouts per month')}
+            </div>
+            <div class="chart-card">
+                <h3 class="chart-title">Scout / Adult Mix</h3>
+                ${window.Charts.ratioBar([
+                    { label: 'Scouts', value: mix.scoutSignups, className: 'chart-scouts' },
+                    { label: 'Adults', value: mix.adultSignups, className: 'chart-adults' }
+                ], 'Scout and adult signups')}
+                <p class="chart-legend">
+                    ${mix.scoutSignups} scout signup(s) from ${mix.scouts} scout(s);
+                    ${mix.adultSignups} adult signup(s) from ${mix.adults} adult(s)
+                </p>
+            </div>
+        </div>
+    `;
+    analyticsSection.classList.remove('hidden');
 }
 
 // Export API
@@ -362,8 +1872,34 @@ window.UI = {
     showScoutResults,
     hideScoutResults,
     renderSearchSuggestions,
+    renderPatrolFilter,
     renderScoutHistory,
+    renderAdultHistory,
+    renderEventRoster,
+    hideEventRoster,
+    renderEventPicker,
+    renderEventBrowser,
+    renderCalendar,
+    renderCalendarDay,
+    renderCategoryFilter,
+    renderServiceHoursSummary,
+    renderInactiveScouts,
+    renderSafeguards,
+    renderRequirementsPanel,
+    renderCategoryRulesPanel,
+    renderDataQualityReport,
+    renderAliasPanel,
+    renderChangeLog,
+    renderSnapshotBanner,
+    renderLastUpdated,
+    renderAccountBadge,
+    renderScoutReport,
+    showToast,
+    escapeHtml,
     formatDate,
-    renderStatistics
+    formatTime,
+    formatHours,
+    renderStatistics,
+    renderAnalytics
 };
 
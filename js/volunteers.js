@@ -0,0 +1,62 @@
+/**
+ * Volunteers Module
+ * Summarizes what an adult leader or parent volunteer has supported, for recognition
+ * and to spot adults the troop leans on for most of its events
+ */
+
+// An adult at half or more of the troop's past events (once there are enough to judge) is flagged
+const HEAVY_RELIANCE_SHARE = 0.5;
+const MIN_EVENTS_FOR_RELIANCE = 4;
+
+/**
+ * Builds an adult's volunteer summary
+ * @param {Object} adultEvents - { future, past } from Search.getAdultEvents
+ * @param {Array} troopPastEvents - Every past troop event, for the adult's share
+ * @returns {Object} {
+ *   eventsSupported, upcomingEvents, daysVolunteered, hoursVolunteered, untimedEvents,
+ *   troopShare (0-1, null without past events), heavilyRelied,
+ *   scoutsAccompanied: [{ name, events }] most events first
+ * }
+ */
+function getVolunteerSummary(adultEvents, troopPastEvents) {
+    const past = (adultEvents && adultEvents.past) || [];
+    const future = (adultEvents && adultEvents.future) || [];
+    const troopPastCount = (troopPastEvents || []).length;
+    
+    // Hours only come from events with a time window; the rest are counted separately
+    const timed = past.filter(event => typeof event.durationHours === 'number');
+    const hours = timed.reduce((total, event) => total + event.durationHours, 0);
+    
+    const scoutMap = new Map(); // normalized name -> { name, events }
+    past.forEach(event => {
+        (event.scouts || []).forEach(scoutName => {
+            const name = String(scoutName).trim();
+            if (!name) return;
+            const key = name.toLowerCase();
+            if (!scoutMap.has(key)) {
+                scoutMap.set(key, { name: name, events: 0 });
+            }
+            scoutMap.get(key).events++;
+        });
+    });
+    
+    const troopShare = troopPastCount > 0 ? Math.round((past.length / troopPastCount) * 100) / 100 : null;
+    
+    return {
+        eventsSupported: past.length,
+        upcomingEvents: future.length,
+        daysVolunteered: past.reduce((days, event) => days + window.HistoryManager.getEventDays(event.startDate, event.endDate), 0),
+        hoursVolunteered: Math.round(hours * 100) / 100,
+        untimedEvents: past.length - timed.length,
+        troopShare: troopShare,
+        heavilyRelied: troopPastCount >= MIN_EVENTS_FOR_RELIANCE && troopShare !== null && troopShare >= HEAVY_RELIANCE_SHARE,
+        scoutsAccompanied: Array.from(scoutMap.values())
+            .sort((a, b) => b.events - a.events || a.name.localeCompare(b.name))
+    };
+}
+
+// Export API
+window.Volunteers = {
+    HEAVY_RELIANCE_SHARE,
+    getVolunteerSummary
+};
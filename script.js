@@ -12,9 +12,40 @@
 let futureEvents = [];
 let pastEvents = [];
 let allScouts = [];
+let allAdults = [];
+let currentPatrols = new Map(); // lowercased scout name -> patrol from their latest signup
+let searchPatrolFilter = ''; // '' = all patrols
+let searchPeopleFilter = ''; // '' = scouts and adults, 'scouts' or 'adults'
+let rosterPatrolFilter = '';
+let dataQualityReport = null;
+let lastSheetData = null;
+let dataMode = 'live'; // 'live' (sheet only), 'snapshot' (backup only) or 'merged' (sheet + backup)
+let snapshotBackup = null; // { events, exportedAt } from a restored backup file
+let lastUpdatedAt = null; // ISO time the shown sheet data was fetched
+let isRefreshing = false;
+let lastRefreshFailed = false;
+let freshnessInterval = null;
 let selectedScout = null;
-let autoRefreshInterval = null;
+let selectedAdult = null;
+let selectedEventId = null;
+let autoRefreshTimer = null;
+let autoRefreshEnabled = false;
+let refreshFailures = 0;
+let lastRefreshAttemptAt = 0;
+let lastSheetFingerprint = '';
+let eventsSplitDate = ''; // Local date events were last split into past and future
+let changeLogBaselineId = null; // Snapshot the "what's changed" panel compares against
+const visitStartedAt = new Date().toISOString();
 let searchTimeout = null;
+let eventFilterTimeout = null;
+let eventFilters = { text: '', category: '', startDate: '', endDate: '' };
+let analyticsRange = { year: '', startDate: '', endDate: '' }; // year '' = all time, 'custom' = dates picked by hand
+let reportRange = { startDate: '', endDate: '' }; // Board of review report period, kept across profile re-renders
+let calendarState = { mode: 'month', anchorDate: '', selectedDate: '' }; // anchorDate '' = today
+
+// Auto-refresh timing: every 30 seconds, doubling after each failure up to 10 minutes
+const AUTO_REFRESH_INTERVAL_MS = 30000;
+const MAX_REFRESH_BACKOFF_MS = 10 * 60 * 1000;
 
 // ============================================
 // INITIALIZATION
@@ -23,69 +54,353 @@ let searchTimeout = null;
 /**
  * Initialize the application
  * Loads events directly from Google Sheets - simple and manual
+ * Stale-while-revalidate: the last good data (from the offline cache) is shown
+ * right away while a fresh copy is fetched in the background
  */
 async function initializeApp() {
     try {
         window.UI.showLoading();
         window.UI.hideError();
         
-        // Fetch from Google Sheet
-        const sheetData = await window.GoogleSheet.loadFutureEvents();
-        const allEvents = convertSheetToEvents(sheetData);
-        console.log('Loaded events from Google Sheet:', allEvents.length);
-        
-        // Separate future and past events based on date
-        const today = new Date();
-        today.setHours(0, 0, 0, 0);
+        // A restored snapshot runs without touching the sheet
+        if (dataMode === 'snapshot') {
+            loadSnapshotData();
+            showApp();
+            return;
+        }
         
-        futureEvents = [];
-        pastEvents = [];
+        // Render cached data first on a fresh page load
+        // (the cache holds whole sheets, so only accounts that may see every scout use it)
+        if (!lastSheetData && window.Access.can('viewAllScouts')) {
+            const cached = await window.OfflineCache.loadCachedData();
+            if (cached) {
+                lastUpdatedAt = cached.savedAt;
+                lastSheetFingerprint = getSheetFingerprint(cached.sheetData);
+                loadSheetData(cached.sheetData);
+                showApp();
+                console.log('Rendered cached data from', cached.savedAt);
+            }
+        }
         
-        allEvents.forEach(event => {
-            const eventDate = new Date(event.endDate || event.startDate);
-            eventDate.setHours(0, 0, 0, 0);
-            
-            if (eventDate < today) {
-                pastEvents.push(event);
-            } else {
-                futureEvents.push(event);
+        try {
+            const changed = await fetchLatestData();
+            if (changed) {
+                showApp();
             }
-        });
+        } catch (error) {
+            // Keep showing the cached data; only fail when there is nothing to show
+            if (!lastSheetData) throw error;
+            console.warn('Showing cached data, refresh failed:', error);
+            updateFreshnessIndicator();
+        }
         
-        console.log('Initialized events:', {
-            future: futureEvents.length,
-            past: pastEvents.length
-        });
+        console.log('Application initialized successfully');
         
-        // Extract unique scouts (excludes adults)
-        allScouts = window.Search.extractUniqueScouts(futureEvents, pastEvents);
-        console.log('Extracted unique scouts:', allScouts.length);
+    } catch (error) {
+        console.error('Error initializing app:', error);
+        window.UI.showError('Failed to load event data: ' + error.message);
+    }
+}
+
+/**
+ * Renders all views and reveals the app once data is loaded
+ */
+function showApp() {
+    renderAllViews();
+    showAppSections();
+    
+    // Set up search input listener
+    setupSearchListener();
+    
+    window.UI.hideLoading();
+}
+
+/**
+ * Fetches the sheet and, if it changed, loads it into state and saves it to the offline cache (leaders)
+ * Callers re-render; failures are recorded for the freshness indicator and re-thrown
+ * @returns {Promise<boolean>} true if the sheet data differs from what is loaded
+ */
+async function fetchLatestData() {
+    isRefreshing = true;
+    lastRefreshAttemptAt = Date.now();
+    updateFreshnessIndicator();
+    
+    try {
+        const sheetData = await window.GoogleSheet.loadFutureEvents();
+        lastUpdatedAt = new Date().toISOString();
+        lastRefreshFailed = false;
         
-        // Render statistics
-        window.UI.renderStatistics(futureEvents, pastEvents);
+        // Identical rows mean nothing to rebuild or re-render, unless the date has rolled
+        // over since the last split and yesterday's events need to move to the past
+        const fingerprint = getSheetFingerprint(sheetData);
+        if (lastSheetData && fingerprint === lastSheetFingerprint) {
+            if (eventsSplitDate === window.HistoryManager.toLocalDateString()) {
+                return false;
+            }
+            loadSheetData(lastSheetData);
+            return true;
+        }
         
-        // Show search section
-        const searchSection = document.getElementById('searchSection');
-        if (searchSection) searchSection.classList.remove('hidden');
+        lastSheetFingerprint = fingerprint;
+        loadSheetData(sheetData);
         
-        // Show export section (for backup)
-        const exportSection = document.getElementById('exportSection');
-        if (exportSection) exportSection.classList.remove('hidden');
+        // Not awaited - saving the cache shouldn't delay rendering
+        // Parents never get the unrestricted sheet written to their device
+        if (window.Access.can('viewAllScouts')) {
+            window.OfflineCache.saveCachedData(sheetData);
+        }
+        recordChangeLogSnapshot();
+        return true;
+    } catch (error) {
+        lastRefreshFailed = true;
+        throw error;
+    } finally {
+        isRefreshing = false;
+        updateFreshnessIndicator();
+    }
+}
+
+/**
+ * Summarizes loaded sheet data as a string that changes whenever any row changes
+ */
+function getSheetFingerprint(sheetData) {
+    return JSON.stringify(window.GoogleSheet.getSheets(sheetData).map(sheet => [
+        sheet.source ? sheet.source.id : '',
+        sheet.rows
+    ]));
+}
+
+/**
+ * Updates the "last updated" indicator and keeps its relative time ticking
+ */
+function updateFreshnessIndicator() {
+    window.UI.renderLastUpdated(dataMode === 'snapshot' ? null : lastUpdatedAt, {
+        refreshing: isRefreshing,
+        failed: lastRefreshFailed,
+        retryInMs: lastRefreshFailed && autoRefreshTimer
+            ? Math.max(0, lastRefreshAttemptAt + getRefreshDelay() - Date.now())
+            : null
+    });
+    
+    if (!freshnessInterval) {
+        freshnessInterval = setInterval(updateFreshnessIndicator, 60000);
+    }
+}
+
+/**
+ * Shows the data sections once events are loaded
+ */
+function showAppSections() {
+    const sectionIds = [
+        'eventBrowserSection', // Event browser
+        'calendarSection',     // Month / week calendar
+        'searchSection',       // Scout search
+        'rosterSection',       // Event roster picker
+        'exportSection'        // Export / restore (backup)
+    ];
+    if (window.Access.can('viewTroopStats')) {
+        sectionIds.push('statsSection');     // Stats
+        sectionIds.push('analyticsSection'); // Participation trends
+        sectionIds.push('inactiveSection');  // Inactive scouts
+        sectionIds.push('safeguardSection'); // Youth protection checks
+    }
+    
+    // Leader-only controls are hidden by CSS for other roles
+    document.body.classList.toggle('role-leader', window.Access.can('manageData'));
+    window.UI.renderAccountBadge(window.Access.describeAccount());
+    
+    sectionIds.forEach(id => {
+        const section = document.getElementById(id);
+        if (section) section.classList.remove('hidden');
+    });
+}
+
+/**
+ * Builds application state from loaded sheet data
+ * Kept so aliases can be re-applied without fetching again
+ * In merged mode the restored backup is folded into the live events
+ */
+function loadSheetData(sheetData) {
+    lastSheetData = sheetData;
+    let allEvents = convertSheetToEvents(sheetData);
+    console.log('Loaded events from Google Sheet:', allEvents.length);
+    
+    if (dataMode === 'merged' && snapshotBackup) {
+        allEvents = window.Backup.mergeEvents(allEvents, getSnapshotEvents());
+        console.log('Merged with backup snapshot:', allEvents.length);
+    }
+    
+    // Report rows that were dropped or look wrong
+    setEvents(allEvents, window.DataQuality.buildReport(sheetData, allEvents));
+}
+
+/**
+ * Builds application state from the restored backup alone
+ */
+function loadSnapshotData() {
+    const allEvents = getSnapshotEvents();
+    console.log('Loaded events from backup snapshot:', allEvents.length);
+    
+    // No sheet rows to check; only cross-event issues can be reported
+    setEvents(allEvents, window.DataQuality.buildReport(null, allEvents));
+}
+
+/**
+ * Restored backup events with the current aliases applied
+ */
+function getSnapshotEvents() {
+    if (!snapshotBackup) return [];
+    const label = `Backup ${window.UI.formatDate(snapshotBackup.exportedAt.slice(0, 10))}`;
+    return window.Backup.normalizeEvents(snapshotBackup.events, window.Aliases.createResolver(), label);
+}
+
+/**
+ * Sets application state from a full list of events
+ */
+function setEvents(allEvents, report) {
+    // Parents only get the scouts linked to their account
+    allEvents = window.Access.restrictEvents(allEvents);
+    
+    // Tag events from the category rules (manual overrides win), backups included
+    allEvents = window.CategoryRules.tagEvents(allEvents);
+    dataQualityReport = window.Access.can('manageData') ? report : null;
+    
+    // Separate future and past events based on date
+    // (multi-day events stay upcoming until their last day has passed)
+    futureEvents = [];
+    pastEvents = [];
+    eventsSplitDate = window.HistoryManager.toLocalDateString();
+    
+    allEvents.forEach(event => {
+        if (window.HistoryManager.isEventPast(event.endDate || event.startDate)) {
+            pastEvents.push(event);
+        } else {
+            futureEvents.push(event);
+        }
+    });
+    
+    console.log('Initialized events:', {
+        future: futureEvents.length,
+        past: pastEvents.length
+    });
+    
+    // Flag upcoming events short of adults
+    applySafetyChecks();
+    
+    // Each scout's current patrol comes from their latest signup that named one
+    currentPatrols = window.Patrols.getCurrentPatrols(futureEvents.concat(pastEvents));
+    
+    // Extract unique scouts (excludes adults), searchable by their aliases too
+    const getVariants = window.Aliases.createVariantLookup();
+    allScouts = window.Search.extractUniqueScouts(futureEvents, pastEvents).map(scout => ({
+        ...scout,
+        aliases: getVariants(scout.fullName),
+        patrol: currentPatrols.get(scout.normalized) || ''
+    }));
+    console.log('Extracted unique scouts:', allScouts.length);
+    
+    // Adult leaders and parent volunteers are searchable too, but only by roles that see troop stats
+    allAdults = [];
+    if (window.Access.can('viewTroopStats')) {
+        allAdults = window.Search.extractUniqueAdults(futureEvents, pastEvents).map(adult => ({
+            ...adult,
+            aliases: getVariants(adult.fullName),
+            isAdult: true
+        }));
+    }
+    console.log('Extracted unique adults:', allAdults.length);
+}
+
+/**
+ * Checks whether a collapsible panel (<details>) is open
+ */
+function isPanelOpen(sectionId) {
+    const section = document.getElementById(sectionId);
+    return !!section && section.open;
+}
+
+/**
+ * Re-renders every data view from the current state
+ */
+function renderAllViews() {
+    // Show which data is on screen (live, snapshot or merged) and how old it is
+    window.UI.renderSnapshotBanner(dataMode, snapshotBackup ? snapshotBackup.exportedAt : '');
+    updateFreshnessIndicator();
+    
+    // Render troop-wide statistics and the patrol breakdown (leaders only)
+    if (window.Access.can('viewTroopStats')) {
+        window.UI.renderStatistics(futureEvents, pastEvents,
+            window.Patrols.summarizePatrols(futureEvents, pastEvents, currentPatrols));
+        renderAnalytics();
+    }
+    
+    // Fill the patrol filters (a patrol that is gone falls back to all patrols)
+    const patrols = window.Patrols.listPatrols(currentPatrols);
+    if (!patrols.includes(searchPatrolFilter)) searchPatrolFilter = '';
+    if (!patrols.includes(rosterPatrolFilter)) rosterPatrolFilter = '';
+    window.UI.renderPatrolFilter('searchPatrolFilter', patrols, searchPatrolFilter);
+    window.UI.renderDataQualityReport(dataQualityReport);
+    
+    // Fill the event roster picker
+    window.UI.renderEventPicker(futureEvents, pastEvents);
+    
+    // Render the event browser with current filters
+    window.UI.renderCategoryFilter(listEventTags(), eventFilters.category);
+    applyEventFilters();
+    
+    // Render the calendar (and the selected day's events)
+    renderCalendar();
+    
+    if (window.Access.can('viewTroopStats')) {
+        // Render troop-wide service hours
+        window.UI.renderServiceHoursSummary(window.ServiceHours.summarizeServiceHours(pastEvents));
         
-        // Show stats
-        const statsSection = document.getElementById('statsSection');
-        if (statsSection) statsSection.classList.remove('hidden');
+        // Render scouts who have stopped coming
+        renderInactiveScouts();
         
-        // Set up search input listener
-        setupSearchListener();
+        // Render upcoming events short of adults
+        renderSafeguards();
+    }
+    
+    if (window.Access.can('manageData')) {
+        // Render alias suggestions and the alias table
+        renderAliasPanel();
         
-        window.UI.hideLoading();
+        // Compare against the last visit (loads snapshots in the background)
+        refreshChangeLog();
         
-        console.log('Application initialized successfully');
+        // Render the rank requirement settings; an open panel is left alone so a half-typed
+        // form survives the auto-refresh (it re-renders when opened or edited)
+        if (!isPanelOpen('requirementsSection')) {
+            renderRequirementsPanel();
+        }
         
-    } catch (error) {
-        console.error('Error initializing app:', error);
-        window.UI.showError('Failed to load event data: ' + error.message);
+        // Render the category rules table (left alone while open, like the requirements panel)
+        if (!isPanelOpen('categoryRulesSection')) {
+            renderCategoryRulesPanel();
+        }
+    }
+    
+    // If a scout is selected, refresh their view (they may have been merged into another name)
+    if (selectedScout) {
+        selectedScout = window.Aliases.resolveName(selectedScout);
+        renderScoutProfile(selectedScout);
+    }
+    
+    // Same for a selected adult
+    if (selectedAdult) {
+        selectedAdult = window.Aliases.resolveName(selectedAdult);
+        renderAdultProfile(selectedAdult);
+    }
+    
+    // If a roster is open, refresh it (close it if the event is gone)
+    if (selectedEventId) {
+        const event = findEventById(selectedEventId);
+        if (event) {
+            showEventRoster(event);
+        } else {
+            closeEventRoster();
+        }
     }
 }
 
@@ -93,38 +408,63 @@ async function initializeApp() {
  * Converts Google Sheet data to event objects
  * Groups signups by event (one event can have multiple scouts)
  * FIXED: Properly deduplicates scouts per event
+ * Rows skipped here are listed by DataQuality.buildReport
+ * Rows from every sheet tab are merged; an event found in several tabs becomes
+ * one event tagged with all of their sources
  */
 function convertSheetToEvents(sheetData) {
-    if (!sheetData || !Array.isArray(sheetData.rows)) {
+    const sheets = window.GoogleSheet.getSheets(sheetData);
+    if (sheets.length === 0) {
         return [];
     }
     
-    const eventsMap = new Map(); // eventKey -> { eventName, startDate, endDate, category, scouts: [], adults: [] }
-    const columns = sheetData.columns || [];
+    const eventsMap = new Map(); // eventKey -> { eventName, startDate, endDate, startTime, endTime, durationHours, category, tags, sources: [], scouts: [], adults: [], patrols: {} }
     
-    // Process each row as a signup
-    sheetData.rows.forEach(row => {
-        const eventInfo = window.GoogleSheet.extractEventFromRow(row, columns);
+    // Confirmed aliases map every name variant to one canonical name
+    const resolveName = window.Aliases.createResolver();
         
-        if (eventInfo.eventName && eventInfo.startDate && eventInfo.scoutName) {
+    sheets.forEach(sheet => {
+        // Use the columns validated at load time, or validate now (throws if a required column is missing)
+        const { fieldColumns, extraColumns } = sheet.fieldColumns
+            ? sheet
+            : window.ColumnMapping.resolveColumns(sheet.columns || []);
+        const sourceLabel = sheet.source ? sheet.source.label : '';
+        
+        // Process each row as a signup
+        sheet.rows.forEach(row => {
+            const eventInfo = window.GoogleSheet.extractEventFromRow(row, fieldColumns, extraColumns);
+            
+            if (!eventInfo.eventName || !eventInfo.startDate || !eventInfo.scoutName) {
+                return;
+            }
+            
             // Create unique key for this event (by name and date)
             const eventKey = `${eventInfo.eventName}_${eventInfo.startDate}_${eventInfo.endDate}`.toLowerCase();
             
             if (!eventsMap.has(eventKey)) {
-                // Create new event
+                // Create new event (the key doubles as its id for roster lookups)
                 eventsMap.set(eventKey, {
+                    id: eventKey,
                     eventName: eventInfo.eventName,
                     startDate: eventInfo.startDate,
                     endDate: eventInfo.endDate || eventInfo.startDate,
-                    category: eventInfo.category,
+                    startTime: eventInfo.startTime,
+                    endTime: eventInfo.endTime,
+                    durationHours: eventInfo.durationHours,
+                    sources: [],
                     scouts: [],
-                    adults: []
+                    adults: [],
+                    patrols: {} // scout name -> patrol given on this signup
                 });
             }
             
             // Add scout or adult to this event (deduplicate within event)
             const event = eventsMap.get(eventKey);
-            const personName = eventInfo.scoutName.trim();
+            const personName = resolveName(eventInfo.scoutName);
+            
+            if (sourceLabel && !event.sources.includes(sourceLabel)) {
+                event.sources.push(sourceLabel);
+            }
             
             if (personName) {
                 if (eventInfo.isAdult) {
@@ -137,9 +477,12 @@ function convertSheetToEvents(sheetData) {
                     if (!event.scouts.includes(personName)) {
                         event.scouts.push(personName);
                     }
+                    if (eventInfo.patrol) {
+                        event.patrols[personName] = eventInfo.patrol;
+                    }
                 }
             }
-        }
+        });
     });
     
     // Convert map to array
@@ -157,6 +500,10 @@ function setupSearchListener() {
     const searchInput = document.getElementById('searchInput');
     if (!searchInput) return;
     
+    // initializeApp runs again on retry/restore; only attach once
+    if (searchInput.dataset.listening) return;
+    searchInput.dataset.listening = 'true';
+    
     searchInput.addEventListener('input', (e) => {
         const query = e.target.value.trim();
         
@@ -177,9 +524,9 @@ function setupSearchListener() {
             e.preventDefault();
             const query = searchInput.value.trim();
             if (query) {
-                const suggestions = window.Search.searchScouts(query, allScouts);
+                const suggestions = window.Search.searchScouts(query, getSearchablePeople());
                 if (suggestions.length > 0) {
-                    selectScout(suggestions[0].fullName);
+                    selectPerson(suggestions[0]);
                 }
             }
         }
@@ -197,13 +544,17 @@ function handleSearch(query) {
     }
     
     if (!query || query.length === 0) {
-        window.UI.renderSearchSuggestions([], '');
+        // With a patrol picked, an empty search lists every member of it
+        const members = searchPatrolFilter
+            ? getSearchablePeople().sort((a, b) => a.fullName.localeCompare(b.fullName))
+            : [];
+        window.UI.renderSearchSuggestions(members, '', searchPatrolFilter !== '');
         window.UI.hideScoutResults();
         return;
     }
     
     // Get search suggestions
-    const suggestions = window.Search.searchScouts(query, allScouts);
+    const suggestions = window.Search.searchScouts(query, getSearchablePeople());
     window.UI.renderSearchSuggestions(suggestions, query);
     
     // If exact match, auto-select
@@ -212,7 +563,81 @@ function handleSearch(query) {
     );
     
     if (exactMatch) {
-        selectScout(exactMatch.fullName);
+        selectPerson(exactMatch);
+    }
+}
+
+/**
+ * People the search looks through: scouts and/or adults, or the members of the chosen patrol
+ * (patrols are scouts only, so picking one leaves adults out)
+ */
+function getSearchablePeople() {
+    if (searchPatrolFilter) {
+        return allScouts.filter(scout => scout.patrol === searchPatrolFilter);
+    }
+    
+    const scouts = searchPeopleFilter === 'adults' ? [] : allScouts;
+    const adults = searchPeopleFilter === 'scouts' ? [] : allAdults;
+    return scouts.concat(adults);
+}
+
+/**
+ * Re-runs the search after a filter change, unless a selected person is on screen
+ */
+function refreshSearch() {
+    const searchInput = document.getElementById('searchInput');
+    const query = searchInput ? searchInput.value.trim() : '';
+    
+    // A selected scout or adult stays on screen; only re-run a search that is still being typed
+    const selectedName = selectedScout || selectedAdult;
+    if (selectedName && query === selectedName) {
+        return;
+    }
+    handleSearch(query);
+}
+
+/**
+ * Limits the scout search to one patrol ('' for all) and re-runs it
+ */
+function setSearchPatrolFilter(patrol) {
+    searchPatrolFilter = patrol;
+    refreshSearch();
+}
+
+/**
+ * Limits the search to scouts or adults ('' for both) and re-runs it
+ */
+function setSearchPeopleFilter(people) {
+    searchPeopleFilter = people;
+    refreshSearch();
+}
+
+/**
+ * Lists a patrol's members in the scout search (from the patrol breakdown)
+ */
+function showPatrolMembers(patrol) {
+    clearSearch();
+    searchPatrolFilter = patrol;
+    
+    const patrolSelect = document.getElementById('searchPatrolFilter');
+    if (patrolSelect) patrolSelect.value = patrol;
+    handleSearch('');
+    
+    const searchSection = document.getElementById('searchSection');
+    if (searchSection) {
+        searchSection.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }
+}
+
+/**
+ * Selects a search result, whether it is a scout or an adult
+ * @param {Object} person - From allScouts or allAdults
+ */
+function selectPerson(person) {
+    if (person.isAdult) {
+        selectAdult(person.fullName);
+    } else {
+        selectScout(person.fullName);
     }
 }
 
@@ -221,6 +646,7 @@ function handleSearch(query) {
  */
 function selectScout(scoutName) {
     selectedScout = scoutName;
+    selectedAdult = null;
     
     // Update search input
     const searchInput = document.getElementById('searchInput');
@@ -231,11 +657,8 @@ function selectScout(scoutName) {
     // Hide suggestions
     window.UI.renderSearchSuggestions([], '');
     
-    // Get scout's events
-    const scoutEvents = window.Search.getScoutEvents(scoutName, futureEvents, pastEvents);
-    
     // Render scout history
-    window.UI.renderScoutHistory(scoutName, scoutEvents.future, scoutEvents.past);
+    renderScoutProfile(scoutName);
     
     // Scroll to results
     const resultsSection = document.getElementById('scoutResultsSection');
@@ -244,6 +667,52 @@ function selectScout(scoutName) {
     }
 }
 
+/**
+ * Renders a scout's history with their patrol and rank requirement progress
+ */
+function renderScoutProfile(scoutName) {
+    const scoutEvents = window.Search.getScoutEvents(scoutName, futureEvents, pastEvents);
+    const progress = window.Requirements.getProgress(scoutEvents.past, scoutEvents.future,
+        window.Requirements.loadRequirements());
+    
+    window.UI.renderScoutHistory(scoutName, scoutEvents.future, scoutEvents.past, getScoutPatrol(scoutName), progress, reportRange);
+}
+
+/**
+ * Selects an adult and shows the events they supported
+ */
+function selectAdult(adultName) {
+    if (!window.Access.can('viewTroopStats')) return;
+    
+    selectedAdult = adultName;
+    selectedScout = null;
+    
+    const searchInput = document.getElementById('searchInput');
+    if (searchInput) {
+        searchInput.value = adultName;
+    }
+    
+    window.UI.renderSearchSuggestions([], '');
+    renderAdultProfile(adultName);
+    
+    const resultsSection = document.getElementById('scoutResultsSection');
+    if (resultsSection) {
+        resultsSection.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }
+}
+
+/**
+ * Renders an adult's volunteer profile: events supported, days volunteered and scouts accompanied
+ */
+function renderAdultProfile(adultName) {
+    if (!window.Access.can('viewTroopStats')) return;
+    
+    const adultEvents = window.Search.getAdultEvents(adultName, futureEvents, pastEvents);
+    const summary = window.Volunteers.getVolunteerSummary(adultEvents, pastEvents);
+    
+    window.UI.renderAdultHistory(adultName, adultEvents.future, adultEvents.past, summary);
+}
+
 /**
  * Clears search
  */
@@ -257,126 +726,1154 @@ function clearSearch() {
     window.UI.renderSearchSuggestions([], '');
     window.UI.hideScoutResults();
     selectedScout = null;
+    selectedAdult = null;
 }
 
 // ============================================
-// EXPORT FUNCTIONALITY
+// ANALYTICS
 // ============================================
 
 /**
- * Exports events as JSON (for backup)
+ * Renders the participation trends for the chosen program year or date range
  */
-function exportEventsJSON() {
-    try {
-        const data = {
-            futureEvents: futureEvents,
-            pastEvents: pastEvents,
-            exportedAt: new Date().toISOString()
-        };
-        
-        const jsonContent = JSON.stringify(data, null, 2);
-        
-        // Create download
-        const blob = new Blob([jsonContent], { type: 'application/json' });
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = 'events-backup.json';
-        document.body.appendChild(a);
-        a.click();
-        document.body.removeChild(a);
-        URL.revokeObjectURL(url);
-        
-        console.log('Events JSON exported successfully');
-        
-        alert('Events backup downloaded! This is a snapshot of current data.');
-        
-    } catch (error) {
-        console.error('Error exporting events:', error);
-        alert('Failed to export events: ' + error.message);
+function renderAnalytics() {
+    const allEvents = futureEvents.concat(pastEvents);
+    const programYears = window.Analytics.getProgramYears(allEvents);
+    
+    // A program year that has no events any more falls back to all time
+    const year = programYears.find(option => option.value === analyticsRange.year);
+    if (year) {
+        analyticsRange = { year: year.value, startDate: year.startDate, endDate: year.endDate };
+    } else if (analyticsRange.year !== 'custom') {
+        analyticsRange = { year: '', startDate: '', endDate: '' };
     }
+    
+    const dashboard = window.Analytics.buildDashboard(allEvents, analyticsRange.startDate, analyticsRange.endDate);
+    window.UI.renderAnalytics(dashboard, programYears, analyticsRange);
+}
+
+/**
+ * Shows one program year ('' for all time)
+ */
+function setAnalyticsYear(year) {
+    analyticsRange = { year: year, startDate: '', endDate: '' };
+    renderAnalytics();
+}
+
+/**
+ * Reads the dashboard's date inputs; hand-picked dates make a custom range
+ */
+function onAnalyticsRangeChange() {
+    const startInput = document.getElementById('analyticsStart');
+    const endInput = document.getElementById('analyticsEnd');
+    const startDate = startInput ? startInput.value : '';
+    const endDate = endInput ? endInput.value : '';
+    
+    analyticsRange = {
+        year: startDate || endDate ? 'custom' : '',
+        startDate: startDate,
+        endDate: endDate
+    };
+    renderAnalytics();
 }
 
 // ============================================
-// AUTO-REFRESH FUNCTIONALITY
+// RANK REQUIREMENTS
 // ============================================
 
 /**
- * Start auto-refresh - updates data every 30 seconds
+ * Renders the requirement settings panel
  */
-function startAutoRefresh() {
-    if (autoRefreshInterval) {
-        clearInterval(autoRefreshInterval);
-    }
-    
-    autoRefreshInterval = setInterval(async () => {
-        console.log('Auto-refreshing data...');
-        try {
-            // Fetch latest from Google Sheet
-            const sheetData = await window.GoogleSheet.loadFutureEvents();
-            const allEvents = convertSheetToEvents(sheetData);
-            
-            // Separate future and past events
-            const today = new Date();
-            today.setHours(0, 0, 0, 0);
-            
-            futureEvents = [];
-            pastEvents = [];
-            
-            allEvents.forEach(event => {
-                const eventDate = new Date(event.endDate || event.startDate);
-                eventDate.setHours(0, 0, 0, 0);
-                
-                if (eventDate < today) {
-                    pastEvents.push(event);
-                } else {
-                    futureEvents.push(event);
-                }
-            });
-            
-            // Update scouts list
-            allScouts = window.Search.extractUniqueScouts(futureEvents, pastEvents);
-            
-            // Update statistics
-            window.UI.renderStatistics(futureEvents, pastEvents);
-            
-            // If a scout is selected, refresh their view
-            if (selectedScout) {
-                const scoutEvents = window.Search.getScoutEvents(selectedScout, futureEvents, pastEvents);
-                window.UI.renderScoutHistory(selectedScout, scoutEvents.future, scoutEvents.past);
-            }
-            
-            console.log('Data refreshed successfully');
-        } catch (error) {
-            console.error('Error during auto-refresh:', error);
-        }
-    }, 30000); // 30 seconds
+function renderRequirementsPanel() {
+    window.UI.renderRequirementsPanel(window.Requirements.loadRequirements(),
+        listEventTags(), window.Requirements.REQUIREMENT_UNITS);
 }
 
 /**
- * Stop auto-refresh
+ * Re-renders everything that shows requirements after a change
  */
-function stopAutoRefresh() {
-    if (autoRefreshInterval) {
-        clearInterval(autoRefreshInterval);
-        autoRefreshInterval = null;
+function refreshRequirements() {
+    renderRequirementsPanel();
+    if (selectedScout) {
+        renderScoutProfile(selectedScout);
     }
 }
 
-// ============================================
-// PAGE LOAD INITIALIZATION
-// ============================================
-
+/**
+ * Adds the requirement entered in the settings form
+ */
+function addRequirementFromForm() {
+    const nameInput = document.getElementById('requirementNameInput');
+    const categorySelect = document.getElementById('requirementCategoryInput');
+    const unitSelect = document.getElementById('requirementUnitInput');
+    const targetInput = document.getElementById('requirementTargetInput');
+    if (!nameInput || !categorySelect || !unitSelect || !targetInput) return;
+    
+    try {
+        window.Requirements.addRequirement({
+            name: nameInput.value,
+            categories: Array.from(categorySelect.selectedOptions).map(option => option.value),
+            unit: unitSelect.value,
+            target: targetInput.value
+        });
+        refreshRequirements();
+    } catch (error) {
+        alert('Could not add requirement: ' + error.message);
+    }
+}
+
+/**
+ * Changes one field of a requirement from the settings table
+ * @param {string} field - 'name', 'unit' or 'target'
+ */
+function updateRequirementField(id, field, value) {
+    try {
+        window.Requirements.updateRequirement(id, { [field]: value });
+    } catch (error) {
+        alert('Could not update requirement: ' + error.message);
+    }
+    refreshRequirements();
+}
+
+/**
+ * Removes a requirement from the settings table
+ */
+function removeRankRequirement(id) {
+    window.Requirements.removeRequirement(id);
+    refreshRequirements();
+}
+
+/**
+ * Puts back the default requirement list
+ */
+function resetRankRequirements() {
+    if (!confirm('Replace the requirement list with the defaults?')) return;
+    
+    window.Requirements.resetRequirements();
+    refreshRequirements();
+}
+
+// ============================================
+// INACTIVE SCOUTS
+// ============================================
+
+/**
+ * Renders the inactive and declining scout lists
+ */
+function renderInactiveScouts() {
+    const months = window.Engagement.getInactiveMonths();
+    window.UI.renderInactiveScouts(window.Engagement.findInactiveScouts(futureEvents, pastEvents, months), months);
+}
+
+/**
+ * Saves a new inactivity window (in months) and re-renders the lists
+ */
+function changeInactiveMonths(value) {
+    window.Engagement.setInactiveMonths(value);
+    renderInactiveScouts();
+}
+
+// ============================================
+// SAFEGUARDS
+// ============================================
+
+/**
+ * Sets safetyIssues on each upcoming event (shown as a warning badge wherever it appears)
+ * Leaders only: parents see just their own scouts, so their counts would be wrong
+ */
+function applySafetyChecks() {
+    const canCheck = window.Access.can('viewTroopStats');
+    const maxScoutsPerAdult = window.Safeguards.getMaxScoutsPerAdult();
+    
+    futureEvents.forEach(event => {
+        event.safetyIssues = canCheck ? window.Safeguards.checkEvent(event, maxScoutsPerAdult) : [];
+    });
+}
+
+/**
+ * Renders the list of under-staffed upcoming events
+ */
+function renderSafeguards() {
+    const maxScoutsPerAdult = window.Safeguards.getMaxScoutsPerAdult();
+    window.UI.renderSafeguards(window.Safeguards.findUnderstaffedEvents(futureEvents, maxScoutsPerAdult), maxScoutsPerAdult);
+}
+
+/**
+ * Saves a new scouts-per-adult limit and re-checks every upcoming event
+ */
+function changeMaxScoutsPerAdult(value) {
+    window.Safeguards.setMaxScoutsPerAdult(value);
+    applySafetyChecks();
+    renderAllViews();
+}
+
+// ============================================
+// EVENT BROWSER
+// ============================================
+
+/**
+ * Reads the filter controls and re-renders the event browser
+ * Text input is debounced; selects and dates apply right away
+ */
+function onEventFilterChange(debounce) {
+    if (eventFilterTimeout) {
+        clearTimeout(eventFilterTimeout);
+    }
+    
+    const readFilters = () => {
+        const textInput = document.getElementById('eventTextFilter');
+        const categorySelect = document.getElementById('eventCategoryFilter');
+        const startInput = document.getElementById('eventStartFilter');
+        const endInput = document.getElementById('eventEndFilter');
+        
+        eventFilters = {
+            text: textInput ? textInput.value.trim() : '',
+            category: categorySelect ? categorySelect.value : '',
+            startDate: startInput ? startInput.value : '',
+            endDate: endInput ? endInput.value : ''
+        };
+        applyEventFilters();
+    };
+    
+    if (debounce) {
+        eventFilterTimeout = setTimeout(readFilters, 300);
+    } else {
+        readFilters();
+    }
+}
+
+/**
+ * Applies the active filters to future and past events and renders the list
+ */
+function applyEventFilters() {
+    const filteredFuture = window.Search.filterEvents(futureEvents, eventFilters);
+    const filteredPast = window.Search.filterEvents(pastEvents, eventFilters);
+    window.UI.renderEventBrowser(filteredFuture, filteredPast, futureEvents.length + pastEvents.length);
+}
+
+/**
+ * Resets all event browser filters
+ */
+function clearEventFilters() {
+    ['eventTextFilter', 'eventCategoryFilter', 'eventStartFilter', 'eventEndFilter'].forEach(id => {
+        const input = document.getElementById(id);
+        if (input) input.value = '';
+    });
+    onEventFilterChange(false);
+}
+
+// ============================================
+// CALENDAR
+// ============================================
+
+/**
+ * Renders the calendar for the current period and the selected day's details
+ */
+function renderCalendar() {
+    const allEvents = futureEvents.concat(pastEvents);
+    const today = window.HistoryManager.toLocalDateString();
+    const period = window.CalendarView.getPeriod(calendarState.mode, calendarState.anchorDate || today);
+    
+    window.UI.renderCalendar(period, allEvents, {
+        mode: calendarState.mode,
+        today: today,
+        selectedDate: calendarState.selectedDate
+    });
+    window.UI.renderCalendarDay(
+        calendarState.selectedDate,
+        window.CalendarView.getEventsOnDay(allEvents, calendarState.selectedDate)
+    );
+}
+
+/**
+ * Switches between month and week view
+ */
+function setCalendarMode(mode) {
+    if (!window.CalendarView.CALENDAR_MODES.includes(mode)) return;
+    
+    // Keep the selected day in view when switching
+    calendarState.mode = mode;
+    if (calendarState.selectedDate) {
+        calendarState.anchorDate = calendarState.selectedDate;
+    }
+    renderCalendar();
+}
+
+/**
+ * Moves the calendar one month/week forward (1) or back (-1)
+ */
+function changeCalendarPeriod(delta) {
+    const anchor = calendarState.anchorDate || window.HistoryManager.toLocalDateString();
+    calendarState.anchorDate = window.CalendarView.shiftPeriod(calendarState.mode, anchor, delta);
+    renderCalendar();
+}
+
+/**
+ * Jumps the calendar back to today
+ */
+function goToCalendarToday() {
+    calendarState.anchorDate = '';
+    renderCalendar();
+}
+
+/**
+ * Shows the events on a day below the calendar (clicking the same day again hides them)
+ */
+function selectCalendarDay(date) {
+    calendarState.selectedDate = calendarState.selectedDate === date ? '' : date;
+    renderCalendar();
+}
+
+// ============================================
+// EVENT ROSTER
+// ============================================
+
+/**
+ * Finds an event by id in future and past events
+ */
+function findEventById(eventId) {
+    if (!eventId) return null;
+    return futureEvents.find(event => event.id === eventId)
+        || pastEvents.find(event => event.id === eventId)
+        || null;
+}
+
+/**
+ * Opens the roster panel for an event
+ */
+function openEventRoster(eventId) {
+    const event = findEventById(eventId);
+    if (!event) return;
+    
+    selectedEventId = eventId;
+    showEventRoster(event);
+}
+
+/**
+ * Renders the roster panel with each scout's patrol, filtered to the chosen patrol
+ */
+function showEventRoster(event) {
+    window.UI.renderEventRoster(event, {
+        scoutPatrols: getSignupPatrols(event),
+        patrols: window.Patrols.listPatrols(currentPatrols),
+        patrolFilter: rosterPatrolFilter,
+        tagOptions: window.Access.can('manageData') ? listEventTags() : null
+    });
+}
+
+/**
+ * Filters the open roster to one patrol ('' for all)
+ */
+function setRosterPatrolFilter(patrol) {
+    rosterPatrolFilter = patrol;
+    const event = selectedEventId ? findEventById(selectedEventId) : null;
+    if (event) showEventRoster(event);
+}
+
+/**
+ * Patrol of each scout on an event: the one given on the signup, else their current patrol
+ * @returns {Object} scout name -> patrol ('' when unknown)
+ */
+function getSignupPatrols(event) {
+    return Object.fromEntries((event.scouts || []).map(name => [
+        name,
+        (event.patrols || {})[name] || getScoutPatrol(name)
+    ]));
+}
+
+/**
+ * A scout's current patrol ('' when no signup named one)
+ */
+function getScoutPatrol(scoutName) {
+    return currentPatrols.get(String(scoutName).toLowerCase().trim()) || '';
+}
+
+/**
+ * Closes the roster panel
+ */
+function closeEventRoster() {
+    selectedEventId = null;
+    window.UI.hideEventRoster();
+    
+    // Reset picker so the same event can be picked again
+    const eventSelect = document.getElementById('eventSelect');
+    if (eventSelect) eventSelect.value = '';
+}
+
+// ============================================
+// NAME ALIASES
+// ============================================
+
+/**
+ * Counts how many events each person appears in (scouts or adults)
+ */
+function countPeople(role) {
+    const counts = new Map(); // name -> event count
+    futureEvents.concat(pastEvents).forEach(event => {
+        (event[role] || []).forEach(name => {
+            counts.set(name, (counts.get(name) || 0) + 1);
+        });
+    });
+    return Array.from(counts.entries()).map(([fullName, eventCount]) => ({ fullName, eventCount }));
+}
+
+/**
+ * Renders duplicate suggestions and the confirmed alias table
+ */
+function renderAliasPanel() {
+    const suggestions = window.Aliases.suggestDuplicates(countPeople('scouts'))
+        .concat(window.Aliases.suggestDuplicates(countPeople('adults')));
+    const peopleNames = countPeople('scouts').concat(countPeople('adults'))
+        .map(person => person.fullName);
+    
+    window.UI.renderAliasPanel(suggestions, window.Aliases.listAliases(), peopleNames);
+}
+
+/**
+ * Re-applies aliases to the last loaded data and refreshes every view
+ */
+function reapplyAliases() {
+    if (dataMode === 'snapshot') {
+        loadSnapshotData();
+    } else if (lastSheetData) {
+        loadSheetData(lastSheetData);
+    }
+    renderAllViews();
+}
+
+/**
+ * Confirms that two names are the same person
+ * A typed canonical name takes the spelling of the matching person already in the data
+ */
+function mergeNames(variant, canonical) {
+    try {
+        const canonicalKey = window.Aliases.cleanName(canonical).toLowerCase();
+        const knownName = countPeople('scouts').concat(countPeople('adults'))
+            .map(person => person.fullName)
+            .find(name => name.toLowerCase() === canonicalKey);
+        
+        window.Aliases.addAlias(variant, knownName || canonical);
+        reapplyAliases();
+    } catch (error) {
+        alert('Could not merge names: ' + error.message);
+    }
+}
+
+/**
+ * Merges the two names entered in the manual merge form
+ */
+function mergeNamesFromForm() {
+    const variantInput = document.getElementById('aliasVariantInput');
+    const canonicalInput = document.getElementById('aliasCanonicalInput');
+    if (!variantInput || !canonicalInput) return;
+    
+    mergeNames(variantInput.value, canonicalInput.value);
+    variantInput.value = '';
+    canonicalInput.value = '';
+}
+
+/**
+ * Marks a suggested pair as different people
+ */
+function dismissNameSuggestion(nameA, nameB) {
+    window.Aliases.dismissSuggestion(nameA, nameB);
+    renderAliasPanel();
+}
+
+/**
+ * Removes a confirmed alias
+ */
+function removeNameAlias(variant) {
+    window.Aliases.removeAlias(variant);
+    reapplyAliases();
+}
+
+/**
+ * Imports an alias table file chosen by the user
+ */
+function importAliasFile(input) {
+    const file = input && input.files && input.files[0];
+    if (!file) return;
+    
+    const reader = new FileReader();
+    reader.onload = () => {
+        try {
+            const imported = window.Aliases.importAliases(reader.result);
+            reapplyAliases();
+            alert(`Imported ${imported} name alias(es).`);
+        } catch (error) {
+            console.error('Error importing aliases:', error);
+            alert('Failed to import aliases: ' + error.message);
+        }
+        input.value = '';
+    };
+    reader.readAsText(file);
+}
+
+// ============================================
+// CATEGORY RULES
+// ============================================
+
+/**
+ * Every tag in use, standard categories first
+ */
+function listEventTags() {
+    return window.CategoryRules.listTags(window.GoogleSheet.EVENT_CATEGORIES, futureEvents.concat(pastEvents));
+}
+
+/**
+ * Renders the category rules table and add form
+ */
+function renderCategoryRulesPanel() {
+    const allEvents = futureEvents.concat(pastEvents);
+    window.UI.renderCategoryRulesPanel(
+        window.CategoryRules.listRules(),
+        listEventTags(),
+        allEvents.filter(event => event.tagsOverridden),
+        window.CategoryRules.listOrphanedOverrides(allEvents),
+        window.CategoryRules.hasDeviceRules()
+    );
+}
+
+/**
+ * Re-tags every event after a rule or override change and refreshes every view
+ * Tags are applied as events are built, so this rebuilds them the way an alias change does
+ */
+function reapplyCategoryRules() {
+    reapplyAliases();
+    renderCategoryRulesPanel();
+}
+
+/**
+ * Adds the rule entered in the rules form
+ */
+function addCategoryRuleFromForm() {
+    const patternInput = document.getElementById('rulePatternInput');
+    const regexInput = document.getElementById('ruleRegexInput');
+    const tagsInput = document.getElementById('ruleTagsInput');
+    if (!patternInput || !regexInput || !tagsInput) return;
+    
+    try {
+        window.CategoryRules.addRule({
+            pattern: patternInput.value,
+            regex: regexInput.checked,
+            tags: tagsInput.value
+        });
+        reapplyCategoryRules();
+    } catch (error) {
+        alert('Could not add rule: ' + error.message);
+    }
+}
+
+/**
+ * Moves a rule up (-1) or down (1); earlier rules' tags come first
+ */
+function moveCategoryRule(id, delta) {
+    window.CategoryRules.moveRule(id, delta);
+    reapplyCategoryRules();
+}
+
+/**
+ * Removes a rule
+ */
+function removeCategoryRule(id) {
+    window.CategoryRules.removeRule(id);
+    reapplyCategoryRules();
+}
+
+/**
+ * Drops this device's rule edits so the shared rules apply again (manual overrides stay)
+ */
+function resetCategoryRules() {
+    if (!confirm('Discard the rule edits made on this device and use the shared rules? Manual event tags are kept.')) return;
+    
+    window.CategoryRules.resetRules();
+    reapplyCategoryRules();
+}
+
+/**
+ * Imports a category rules file chosen by the user
+ */
+function importCategoryRulesFile(input) {
+    const file = input && input.files && input.files[0];
+    if (!file) return;
+    
+    const reader = new FileReader();
+    reader.onload = () => {
+        try {
+            const imported = window.CategoryRules.importRules(reader.result);
+            reapplyCategoryRules();
+            alert(`Imported ${imported} category rule(s).`);
+        } catch (error) {
+            console.error('Error importing category rules:', error);
+            alert('Failed to import category rules: ' + error.message);
+        }
+        input.value = '';
+    };
+    reader.readAsText(file);
+}
+
+/**
+ * Sets the open event's tags by hand from the roster panel
+ */
+function saveEventTags() {
+    const tagsInput = document.getElementById('eventTagsInput');
+    if (!selectedEventId || !tagsInput) return;
+    
+    // An override that followed a rescheduled event moves to the event's new id
+    const event = findEventById(selectedEventId);
+    if (event && event.tagsOverrideId && event.tagsOverrideId !== selectedEventId) {
+        window.CategoryRules.setOverride(event.tagsOverrideId, []);
+    }
+    window.CategoryRules.setOverride(selectedEventId, tagsInput.value);
+    reapplyCategoryRules();
+}
+
+/**
+ * Drops an event's manual tags so the rules decide again
+ * @param {string} overrideId - The id the override is stored under (event.tagsOverrideId)
+ */
+function clearEventTags(overrideId) {
+    window.CategoryRules.setOverride(overrideId, []);
+    reapplyCategoryRules();
+}
+
+// ============================================
+// EXPORT FUNCTIONALITY
+// ============================================
+
+/**
+ * Exports events as JSON (for backup)
+ */
+function exportEventsJSON() {
+    if (!window.Access.can('exportData')) {
+        alert('Your account cannot export event data.');
+        return;
+    }
+    
+    try {
+        // Events are already limited to what the signed-in account may see
+        const data = {
+            futureEvents: futureEvents,
+            pastEvents: pastEvents,
+            exportedAt: new Date().toISOString()
+        };
+        
+        const jsonContent = JSON.stringify(data, null, 2);
+        
+        // Create download
+        const blob = new Blob([jsonContent], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = 'events-backup.json';
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+        
+        console.log('Events JSON exported successfully');
+        
+        alert('Events backup downloaded! This is a snapshot of current data.');
+        
+    } catch (error) {
+        console.error('Error exporting events:', error);
+        alert('Failed to export events: ' + error.message);
+    }
+}
+
+// Columns shared by every event export
+const EVENT_EXPORT_HEADERS = ['Event', 'Start Date', 'End Date', 'Tags', 'Status', 'Days', 'Hours'];
+
+/**
+ * Values for EVENT_EXPORT_HEADERS
+ */
+function getEventExportColumns(event) {
+    const days = window.HistoryManager.getEventDays(event.startDate, event.endDate);
+    return [
+        event.eventName,
+        event.startDate,
+        event.endDate || event.startDate,
+        (event.tags || []).join(', '),
+        window.HistoryManager.isEventPast(event.endDate || event.startDate) ? 'Past' : 'Upcoming',
+        days > 0 ? days : '',
+        typeof event.durationHours === 'number' ? event.durationHours : ''
+    ];
+}
+
+/**
+ * Downloads a table as CSV or XLSX, reporting failures the way other exports do
+ */
+function exportSpreadsheet(baseFilename, format, headers, rows, sheetName) {
+    if (!window.Access.can('exportData')) {
+        alert('Your account cannot export event data.');
+        return;
+    }
+    
+    try {
+        window.SpreadsheetExport.exportTable(baseFilename, format, headers, rows, sheetName);
+        console.log(`Exported ${rows.length} rows to ${baseFilename}.${format}`);
+    } catch (error) {
+        console.error('Error exporting spreadsheet:', error);
+        alert('Failed to export: ' + error.message);
+    }
+}
+
+/**
+ * Exports the events shown in the event browser (active filters applied) with attendee counts
+ * @param {string} format - 'csv' or 'xlsx'
+ */
+function exportEventList(format) {
+    const events = window.Search.filterEvents(futureEvents, eventFilters)
+        .concat(window.Search.filterEvents(pastEvents, eventFilters))
+        .sort((a, b) => String(a.startDate).localeCompare(String(b.startDate)));
+    
+    const rows = events.map(event => getEventExportColumns(event).concat([
+        event.scouts.length,
+        event.adults.length,
+        event.scouts.length + event.adults.length,
+        (event.sources || []).join(', ')
+    ]));
+    
+    exportSpreadsheet('event-list', format, EVENT_EXPORT_HEADERS.concat(['Scouts', 'Adults', 'Total Signed Up', 'Source']), rows, 'Events');
+}
+
+/**
+ * Exports the open event's roster, scouts first and then adults
+ * @param {string} format - 'csv' or 'xlsx'
+ */
+function exportEventRoster(format) {
+    const event = selectedEventId ? findEventById(selectedEventId) : null;
+    if (!event) return;
+    
+    const byName = (a, b) => a.localeCompare(b);
+    const scoutPatrols = getSignupPatrols(event);
+    const rows = [...event.scouts].sort(byName).map(name => ['Scout', name, scoutPatrols[name]])
+        .concat([...event.adults].sort(byName).map(name => ['Adult', name, '']))
+        .map(person => person.concat([event.eventName, event.startDate, event.endDate || event.startDate]));
+    
+    exportSpreadsheet(
+        `roster-${window.SpreadsheetExport.toFilenamePart(event.eventName)}-${event.startDate}`,
+        format,
+        ['Role', 'Name', 'Patrol', 'Event', 'Start Date', 'End Date'],
+        rows,
+        'Roster'
+    );
+}
+
+/**
+ * Exports the selected scout's full history
+ * @param {string} format - 'csv' or 'xlsx'
+ */
+function exportScoutHistory(format) {
+    if (!selectedScout) return;
+    
+    const scoutEvents = window.Search.getScoutEvents(selectedScout, futureEvents, pastEvents);
+    const rows = scoutEvents.past.concat(scoutEvents.future)
+        .sort((a, b) => String(a.startDate).localeCompare(String(b.startDate)))
+        .map(getEventExportColumns);
+    
+    exportSpreadsheet(
+        `history-${window.SpreadsheetExport.toFilenamePart(selectedScout)}`,
+        format,
+        EVENT_EXPORT_HEADERS,
+        rows,
+        selectedScout
+    );
+}
+
+/**
+ * Exports the events the selected adult supported, with the scouts who came
+ * @param {string} format - 'csv' or 'xlsx'
+ */
+function exportAdultHistory(format) {
+    if (!selectedAdult || !window.Access.can('viewTroopStats')) return;
+    
+    const adultEvents = window.Search.getAdultEvents(selectedAdult, futureEvents, pastEvents);
+    const rows = adultEvents.past.concat(adultEvents.future)
+        .sort((a, b) => String(a.startDate).localeCompare(String(b.startDate)))
+        .map(event => getEventExportColumns(event).concat([(event.scouts || []).join(', ')]));
+    
+    exportSpreadsheet(
+        `volunteer-${window.SpreadsheetExport.toFilenamePart(selectedAdult)}`,
+        format,
+        EVENT_EXPORT_HEADERS.concat(['Scouts']),
+        rows,
+        selectedAdult
+    );
+}
+
+/**
+ * Exports the inactive and declining scouts as a call list
+ * @param {string} format - 'csv' or 'xlsx'
+ */
+function exportInactiveScouts(format) {
+    const report = window.Engagement.findInactiveScouts(futureEvents, pastEvents, window.Engagement.getInactiveMonths());
+    const percent = rate => rate === null ? '' : Math.round(rate * 100);
+    const toRow = status => scout => [
+        scout.name,
+        status,
+        scout.lastEvent,
+        scout.lastDate,
+        scout.daysGone,
+        scout.pastEvents,
+        scout.upcomingEvents,
+        percent(scout.attendanceRate),
+        percent(scout.earlierRate),
+        percent(scout.recentRate)
+    ];
+    
+    exportSpreadsheet(
+        `inactive-scouts-${window.HistoryManager.toLocalDateString()}`,
+        format,
+        ['Scout', 'Status', 'Last Event', 'Last Event Date', 'Days Since', 'Past Events', 'Upcoming Events',
+            'Attendance Rate %', 'Earlier Rate %', 'Recent Rate %'],
+        report.inactive.map(toRow('Inactive')).concat(report.declining.map(toRow('Dropping off'))),
+        'Inactive Scouts'
+    );
+}
+
+/**
+ * Downloads upcoming events as an .ics calendar file
+ * @param {string} scope - 'all' for every upcoming event, 'scout' for the selected scout's
+ */
+function exportCalendar(scope) {
+    if (!window.Access.can('exportData')) {
+        alert('Your account cannot export event data.');
+        return;
+    }
+    
+    try {
+        let events = futureEvents;
+        let calendarName = 'Troop 132 Events';
+        let filename = 'troop-132-events.ics';
+        
+        if (scope === 'scout') {
+            if (!selectedScout) return;
+            events = window.Search.getScoutEvents(selectedScout, futureEvents, pastEvents).future;
+            calendarName = `Troop 132 - ${selectedScout}`;
+            filename = `troop-132-${window.SpreadsheetExport.toFilenamePart(selectedScout)}.ics`;
+        }
+        
+        if (events.length === 0) {
+            alert('There are no upcoming events to add to a calendar.');
+            return;
+        }
+        
+        window.SpreadsheetExport.downloadFile(
+            window.ICalendar.buildCalendar(events, calendarName, futureEvents.concat(pastEvents)),
+            filename,
+            'text/calendar;charset=utf-8'
+        );
+        console.log(`Exported ${events.length} events to ${filename}`);
+    } catch (error) {
+        console.error('Error exporting calendar:', error);
+        alert('Failed to export calendar: ' + error.message);
+    }
+}
+
+/**
+ * Reads the report period inputs so the auto-refresh doesn't clear them
+ */
+function onReportRangeChange() {
+    const startInput = document.getElementById('reportStartDate');
+    const endInput = document.getElementById('reportEndDate');
+    reportRange = {
+        startDate: startInput ? startInput.value : '',
+        endDate: endInput ? endInput.value : ''
+    };
+}
+
+/**
+ * Prints a one-page board of review report for the selected scout
+ * Uses the report period in the scout profile (blank = all history through today)
+ */
+function printScoutReport() {
+    if (!selectedScout) return;
+    
+    onReportRangeChange();
+    const period = {
+        startDate: reportRange.startDate,
+        endDate: reportRange.endDate || window.HistoryManager.toLocalDateString()
+    };
+    if (period.startDate && period.startDate > period.endDate) {
+        alert('The report start date must be before the end date.');
+        return;
+    }
+    
+    const scoutEvents = window.Search.getScoutEvents(selectedScout, futureEvents, pastEvents);
+    const events = window.Search.filterEvents(scoutEvents.past, period);
+    window.UI.renderScoutReport(selectedScout, events, period);
+    
+    // Only the report is printed while this class is set
+    document.body.classList.add('printing-report');
+    window.print();
+}
+
+// ============================================
+// RESTORE FROM BACKUP
+// ============================================
+
+/**
+ * Restores a backup file chosen by the user
+ * @param {HTMLInputElement} input - File input holding an events-backup.json
+ * @param {string} mode - 'snapshot' to view only the backup, 'merged' to combine it with live data
+ */
+function restoreBackupFile(input, mode) {
+    const file = input && input.files && input.files[0];
+    if (!file) return;
+    
+    if (!window.Access.can('manageData')) {
+        input.value = '';
+        alert('Only leaders can restore backups.');
+        return;
+    }
+    
+    const reader = new FileReader();
+    reader.onload = async () => {
+        input.value = '';
+        
+        try {
+            snapshotBackup = window.Backup.parseBackup(reader.result);
+        } catch (error) {
+            console.error('Error reading backup:', error);
+            alert('This backup file could not be used: ' + error.message);
+            return;
+        }
+        
+        dataMode = mode === 'merged' ? 'merged' : 'snapshot';
+        // Force the next fetch to rebuild events even if the sheet is unchanged
+        lastSheetFingerprint = '';
+        
+        // A snapshot is frozen; merged data keeps refreshing the live half
+        if (dataMode === 'snapshot') {
+            stopAutoRefresh();
+        }
+        
+        await initializeApp();
+    };
+    reader.readAsText(file);
+}
+
+/**
+ * Leaves snapshot/merged mode and goes back to live sheet data
+ */
+async function returnToLiveData() {
+    dataMode = 'live';
+    snapshotBackup = null;
+    lastSheetFingerprint = '';
+    
+    await initializeApp();
+    startAutoRefresh();
+}
+
+// ============================================
+// CHANGE LOG
+// ============================================
+
+/**
+ * Snapshots the live events so later visits can see what changed
+ * Restored and merged backups aren't recorded - they aren't what the sheet said
+ */
+async function recordChangeLogSnapshot() {
+    if (dataMode !== 'live' || !window.Access.can('manageData')) return;
+    
+    try {
+        const snapshot = await window.ChangeLog.saveSnapshot(futureEvents.concat(pastEvents));
+        if (snapshot) {
+            console.log('Saved change log snapshot', snapshot.savedAt);
+            await refreshChangeLog();
+        }
+    } catch (error) {
+        console.error('Error saving change log snapshot:', error);
+    }
+}
+
+/**
+ * Diffs the current events against the chosen snapshot and renders the result
+ * Defaults to the newest snapshot from before this visit
+ */
+async function refreshChangeLog() {
+    try {
+        const snapshots = await window.ChangeLog.listSnapshots();
+        if (changeLogBaselineId === null) {
+            const lastVisit = window.ChangeLog.findLastVisitSnapshot(snapshots, visitStartedAt);
+            changeLogBaselineId = lastVisit ? lastVisit.id : null;
+        }
+        
+        const baseline = changeLogBaselineId === null
+            ? null
+            : await window.ChangeLog.loadSnapshot(changeLogBaselineId);
+        
+        // Apply today's aliases to the old names so merged people don't show as dropped and re-added
+        const diff = baseline
+            ? window.EventDiff.diffEvents(
+                window.Backup.normalizeEvents(baseline.events, window.Aliases.createResolver(), 'Snapshot'),
+                futureEvents.concat(pastEvents)
+            )
+            : null;
+        
+        window.UI.renderChangeLog(diff, snapshots, baseline ? baseline.id : null);
+    } catch (error) {
+        console.error('Error building change log:', error);
+    }
+}
+
+/**
+ * Compares against a different snapshot (from the picker)
+ */
+function selectChangeLogBaseline(snapshotId) {
+    changeLogBaselineId = snapshotId ? Number(snapshotId) : null;
+    refreshChangeLog();
+}
+
+// ============================================
+// AUTO-REFRESH FUNCTIONALITY
+// ============================================
+
+/**
+ * Start auto-refresh - checks for new data every 30 seconds
+ * Pauses while the page is hidden and backs off after failures
+ */
+function startAutoRefresh() {
+    autoRefreshEnabled = true;
+    scheduleAutoRefresh(getRefreshDelay());
+}
+
+/**
+ * Stop auto-refresh
+ */
+function stopAutoRefresh() {
+    autoRefreshEnabled = false;
+    clearAutoRefreshTimer();
+}
+
+/**
+ * Cancels the pending refresh, if any
+ */
+function clearAutoRefreshTimer() {
+    if (autoRefreshTimer) {
+        clearTimeout(autoRefreshTimer);
+        autoRefreshTimer = null;
+    }
+}
+
+/**
+ * Time to wait before the next refresh: doubles with each consecutive failure
+ */
+function getRefreshDelay() {
+    return Math.min(AUTO_REFRESH_INTERVAL_MS * Math.pow(2, refreshFailures), MAX_REFRESH_BACKOFF_MS);
+}
+
+/**
+ * Schedules the next refresh (nothing is scheduled while the page is hidden)
+ */
+function scheduleAutoRefresh(delay) {
+    clearAutoRefreshTimer();
+    if (!autoRefreshEnabled || document.hidden) return;
+    
+    autoRefreshTimer = setTimeout(runAutoRefresh, delay);
+}
+
+/**
+ * Fetches the latest data, re-renders only if it changed and announces what changed
+ */
+async function runAutoRefresh() {
+    autoRefreshTimer = null;
+    
+    // A restored snapshot never changes
+    if (dataMode === 'snapshot') return;
+    
+    console.log('Auto-refreshing data...');
+    const previousEvents = futureEvents.concat(pastEvents);
+    
+    try {
+        // Fetch latest from Google Sheet
+        const changed = await fetchLatestData();
+        refreshFailures = 0;
+        
+        if (changed) {
+            renderAllViews();
+            
+            const changes = window.EventDiff.summarizeDiff(
+                window.EventDiff.diffEvents(previousEvents, futureEvents.concat(pastEvents))
+            );
+            if (changes.length > 0) {
+                window.UI.showToast(changes);
+            }
+            console.log('Data refreshed successfully');
+        } else {
+            console.log('Data unchanged');
+        }
+    } catch (error) {
+        refreshFailures++;
+        console.error('Error during auto-refresh:', error);
+    }
+    
+    scheduleAutoRefresh(getRefreshDelay());
+    updateFreshnessIndicator();
+}
+
+/**
+ * Pauses auto-refresh while the page is hidden; on return refreshes right away
+ * if a refresh is overdue, otherwise waits out the rest of the interval
+ */
+function handleVisibilityChange() {
+    if (!autoRefreshEnabled) return;
+    
+    if (document.hidden) {
+        clearAutoRefreshTimer();
+        return;
+    }
+    
+    const elapsed = Date.now() - lastRefreshAttemptAt;
+    scheduleAutoRefresh(Math.max(0, getRefreshDelay() - elapsed));
+}
+
+// ============================================
+// PAGE LOAD INITIALIZATION
+// ============================================
+
 document.addEventListener('DOMContentLoaded', function() {
     console.log('T132 Event Database loaded...');
     // App initialization is controlled by password protection
     // Password protection will call initializeApp() after authentication
 });
 
+// Close the roster panel with Escape
+document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && selectedEventId) {
+        closeEventRoster();
+    }
+});
+
+// Back to the normal page once the report has printed
+window.addEventListener('afterprint', () => {
+    document.body.classList.remove('printing-report');
+});
+
+// Pause auto-refresh while the tab is hidden
+document.addEventListener('visibilitychange', handleVisibilityChange);
+
+// Cache the app shell so it opens offline and can be installed
+if ('serviceWorker' in navigator) {
+    window.addEventListener('load', () => {
+        navigator.serviceWorker.register('sw.js').catch(error => {
+            console.warn('Service worker registration failed:', error);
+        });
+    });
+}
+
 // Clean up on page unload
 window.addEventListener('beforeunload', () => {
     stopAutoRefresh();
+    if (freshnessInterval) {
+        clearInterval(freshnessInterval);
+    }
     if (searchTimeout) {
         clearTimeout(searchTimeout);
     }
+    if (eventFilterTimeout) {
+        clearTimeout(eventFilterTimeout);
+    }
 });
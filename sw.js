@@ -0,0 +1,99 @@
+/**
+ * T132 Event Database - Service Worker
+ * Caches the app shell so the site installs as an app and opens offline
+ * Sheet data is not cached here - the app keeps its own copy in IndexedDB (js/offlineCache.js)
+ */
+
+// Bump when app files change so clients pick up the new shell
+const SHELL_CACHE_NAME = 't132-shell-v17';
+
+const SHELL_FILES = [
+    './',
+    'index.html',
+    'style.css',
+    'script.js',
+    'manifest.json',
+    'icons/icon.svg',
+    'js/password.js',
+    'js/access.js',
+    'js/historyManager.js',
+    'js/columnMapping.js',
+    'js/categoryConfig.js',
+    'js/categoryRules.js',
+    'js/googleSheet.js',
+    'js/serviceHours.js',
+    'js/dataQuality.js',
+    'js/search.js',
+    'js/patrols.js',
+    'js/volunteers.js',
+    'js/analytics.js',
+    'js/charts.js',
+    'js/settings.js',
+    'js/engagement.js',
+    'js/safeguards.js',
+    'js/requirements.js',
+    'js/calendarView.js',
+    'js/aliases.js',
+    'js/backup.js',
+    'js/spreadsheetExport.js',
+    'js/icalendar.js',
+    'js/offlineCache.js',
+    'js/eventDiff.js',
+    'js/changeLog.js',
+    'js/ui.js'
+];
+
+// Cross-origin files the page needs to look right offline
+const CDN_HOSTS = ['cdn.tailwindcss.com'];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE_NAME)
+            .then(cache => cache.addAll(SHELL_FILES))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    // Remove shells from older versions
+    event.waitUntil(
+        caches.keys()
+            .then(names => Promise.all(
+                names.filter(name => name !== SHELL_CACHE_NAME).map(name => caches.delete(name))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+/**
+ * Stale-while-revalidate: answer from cache, refresh the cache in the background
+ */
+async function staleWhileRevalidate(request) {
+    const cache = await caches.open(SHELL_CACHE_NAME);
+    const cached = await cache.match(request, { ignoreSearch: true });
+    
+    const network = fetch(request)
+        .then(response => {
+            if (response && (response.ok || response.type === 'opaque')) {
+                cache.put(request, response.clone());
+            }
+            return response;
+        })
+        .catch(() => cached);
+    
+    return cached || network;
+}
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+    
+    const url = new URL(request.url);
+    const isShell = url.origin === self.location.origin;
+    const isCdn = CDN_HOSTS.includes(url.hostname);
+    
+    // Google Sheets and anything else go straight to the network
+    if (!isShell && !isCdn) return;
+    
+    event.respondWith(staleWhileRevalidate(request));
+});